@@ -0,0 +1,198 @@
+/*
+ * Writing of draft API definition files for the 'hapi import-*' commands.
+ * An importer adds virtual hosts, variables and APIs to an ApiWriter, which then writes them to an output directory
+ * in the layout which 'hapi' loads: a top-level hapi.js file defining the variables, and a directory per virtual
+ * host containing a hapi.js file with the 'virtual_host' section and one file per API.
+ * Existing files are never overwritten, so that an import can be repeated after drafts have been edited.
+ * The importers also share the helpers here which write the shorthand of the 'body' section.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var common = require(__dirname+'/common');
+
+var HEADER = '// Generated by hapi %s; review and edit before use\n';
+var APP_JSON = 'application/json';
+var FORM_URLENCODED = 'application/x-www-form-urlencoded';
+var MULTIPART_FORM_DATA = 'multipart/form-data';
+// The shorthand flags of the arrays whose items have a simple type, by the JSON schema type of the items
+var ARRAY_FLAGS = { string: 'sa', integer: 'ia', boolean: 'ba' };
+
+// 'source' describes the input of the import, such as "import-har recording.har"
+function ApiWriter(outDir,source) {
+   this.outDir = outDir;
+   this.source = source;
+   this.vhosts = {};
+   this.variables = {};
+}
+
+/*
+ * Add a virtual host named 'name' whose URL is 'hostUrl', and return its name.  The URL is the value of the
+ * host variable, which has the same name; if the URL is not known, the variable has no value and must be set.
+ * 'swagger' is the swagger 2.0 header of the generated documentation.
+ */
+ApiWriter.prototype.addVirtualHost = function(name,hostUrl,swagger) {
+   var self = this;
+   name = getIdentifier(name) || 'host';
+   var unique = name;
+   for (var i = 2; self.vhosts[unique] && self.vhosts[unique].url !== hostUrl; i++) {
+      unique = name + i;
+   }
+   if (!self.vhosts[unique]) {
+      self.vhosts[unique] = { url: hostUrl, swagger: swagger, apis: {} };
+      self.addVariable(unique,hostUrl ? { description: util.format("The URL of %s",hostUrl), value: hostUrl } :
+                       { description: util.format("The URL of the %s virtual host; set it with '-var' or a config file",unique) });
+   }
+   return unique;
+};
+
+// Add a variable definition unless the variable is already defined
+ApiWriter.prototype.addVariable = function(name,def) {
+   if (!this.variables[name]) this.variables[name] = def;
+};
+
+// Add the API definition 'api' to the virtual host 'vhost' in a file named after 'name', and return the file name
+ApiWriter.prototype.addApi = function(vhost,name,api) {
+   var apis = this.vhosts[vhost].apis;
+   name = getFileName(name) || 'api';
+   var file = name + '.js';
+   for (var i = 2; apis[file]; i++) {
+      file = name + '-' + i + '.js';
+   }
+   apis[file] = api;
+   return file;
+};
+
+/*
+ * Write the files to the output directory, creating the directories of the virtual hosts as needed.
+ * Return the paths of the files written and of the existing files which were skipped.
+ */
+ApiWriter.prototype.write = function() {
+   var self = this;
+   var result = { written: [], skipped: [] };
+   var files = {};
+   files['hapi.js'] = { hapi: { variables: self.variables } };
+   common.forOwn(self.vhosts,function(vhost,name) {
+      files[path.join(name,'hapi.js')] = { hapi: { virtual_host: { name: name, host_variable: name, swagger: vhost.swagger } } };
+      common.forOwn(vhost.apis,function(api,file) {
+         files[path.join(name,file)] = api;
+      });
+   });
+   Object.keys(files).sort().forEach(function(file) {
+      var filePath = path.join(self.outDir,file);
+      if (common.existsSync(filePath)) return result.skipped.push(filePath);
+      if (!common.isDir(path.dirname(filePath))) fs.mkdirSync(path.dirname(filePath));
+      fs.writeFileSync(filePath,toSource(files[file],self.source));
+      result.written.push(filePath);
+   });
+   return result;
+};
+
+// Convert 'obj' to the source of a module which exports it
+function toSource(obj,source) {
+   return util.format(HEADER,source) + '"use strict";\nmodule.exports = ' + common.pretty(obj) + ';\n';
+}
+
+/*
+ * Get the name of the variable for an id which follows the path segment 'segment', such as 'appId' for 'apps'.
+ * 'used' are the names already used in the path, which the name must differ from.
+ */
+function getIdVarName(segment,used) {
+   var name = getIdentifier(singularize(segment || ''));
+   name = name ? name + 'Id' : 'id';
+   var unique = name;
+   for (var i = 2; used && used.includes(unique); i++) {
+      unique = name + i;
+   }
+   return unique;
+}
+
+// Get the singular form of an English plural noun, which is good enough for the names of REST collections
+function singularize(word) {
+   if (/ies$/.test(word)) return word.slice(0,-3) + 'y';
+   if (/(ss|us)$/.test(word)) return word;
+   if (/(sh|ch|x|ss)es$/.test(word)) return word.slice(0,-2);
+   if (/s$/.test(word)) return word.slice(0,-1);
+   return word;
+}
+
+// Convert 'str' to a camel case identifier which may be used as a variable name, or '' if it has no letters or digits
+function getIdentifier(str) {
+   var words = String(str).split(/[^A-Za-z0-9]+/).filter(function(word) { return word.length > 0; });
+   var id = words.map(function(word,index) {
+      return index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1);
+   }).join('');
+   return /^[0-9]/.test(id) ? '_' + id : id;
+}
+
+/*
+ * Get the name of the file of the API with 'method' and the path template 'pathTemplate', such as
+ * 'get-apps' for GET /v2/apps and 'get-app' for GET /v2/apps/$appId.
+ */
+function getApiName(method,pathTemplate) {
+   var segments = pathTemplate.split('?')[0].split('/').filter(function(segment) { return segment.length > 0; });
+   var last = segments.length > 0 ? segments[segments.length - 1] : '';
+   var name;
+   if (last.startsWith('$') || last.startsWith('{')) {
+      // An item of a collection is named after the singular of the collection
+      var collection = segments.length > 1 ? segments[segments.length - 2] : '';
+      name = singularize(collection.startsWith('$') || collection.startsWith('{') ? '' : collection);
+   } else {
+      name = last;
+   }
+   return method.toLowerCase() + (name ? '-' + name : '');
+}
+
+/*
+ * Get the name of the resource of the path template 'pathTemplate', such as 'app' for /v2/apps/$appId, which is
+ * the singular of its last segment which is not a variable, or 'request' if there is none.
+ */
+function getResourceName(pathTemplate) {
+   var segments = pathTemplate.split('?')[0].split('/').filter(function(segment) {
+      return segment.length > 0 && !segment.startsWith('$') && !segment.startsWith('{');
+   });
+   return segments.length > 0 ? singularize(segments[segments.length - 1]) : 'request';
+}
+
+/*
+ * Get the shorthand of a field of the 'body' section with the flags 'flags' and the description 'description',
+ * such as '(i,opt)the number of instances'.  'optional' adds the 'opt' flag.
+ */
+function shorthand(flags,description,optional) {
+   if (optional) flags = flags.concat('opt');
+   return flags.length > 0 ? '(' + flags.join(',') + ')' + description : description;
+}
+
+// Get the shorthand flag of an array whose items are of the simple JSON schema type 'type', or null
+function getArrayFlag(type) {
+   return ARRAY_FLAGS[type] || null;
+}
+
+/*
+ * Get the 'bodymd' metadata of a field of the JSON schema type 'type' which has no shorthand flag, such as a number
+ * or an optional object or array.  The type of an optional field can't be amended, so such a field is made optional
+ * by its metadata rather than by the 'opt' flag.
+ */
+function getTypeMd(type,optional) {
+   return optional ? { type: [type,'null'], required: false } : { type: type };
+}
+
+// Convert 'str' to a lower case file name without an extension
+function getFileName(str) {
+   return String(str).toLowerCase().replace(/[^a-z0-9_.-]+/g,'-').replace(/^-+|-+$/g,'');
+}
+
+exports.APP_JSON = APP_JSON;
+exports.FORM_URLENCODED = FORM_URLENCODED;
+exports.MULTIPART_FORM_DATA = MULTIPART_FORM_DATA;
+exports.ApiWriter = ApiWriter;
+exports.getIdVarName = getIdVarName;
+exports.getIdentifier = getIdentifier;
+exports.singularize = singularize;
+exports.getApiName = getApiName;
+exports.getResourceName = getResourceName;
+exports.shorthand = shorthand;
+exports.getArrayFlag = getArrayFlag;
+exports.getTypeMd = getTypeMd;
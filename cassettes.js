@@ -0,0 +1,243 @@
+/*
+ * Recording and replay of HTTP traffic for 'hapi run'.
+ * Every request sent by Hapi.sendRequest, including those of hooks and token requests, goes through a Cassette.
+ * In record mode, the request is sent and the request and its response are saved; when the run is complete,
+ * they are written to one cassette file per host in the cassette directory.  In replay mode, nothing is sent
+ * over the network; the response to each request is the recorded response of the matching request.
+ *
+ * A request matches a recorded request if their methods, URLs, headers and bodies are the same after the
+ * matching rules are applied to both.  The rules are set by the 'cassette' field of a hapi section:
+ *    ignore_headers  - the names of request headers which are not compared, such as 'x-request-id'
+ *    ignore_query    - the names of query parameters which are not compared
+ *    ignore_body     - the paths of fields of JSON or form request bodies which are not compared, such as 'meta.timestamp'
+ *    ignore_patterns - regular expressions matching volatile values, such as generated ids, which are not compared
+ *                      wherever they appear in the URL, header values or body
+ * When several recorded requests match, their responses are returned in the order in which they were recorded.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var util = require('util');
+var request = require('request');
+var common = require(__dirname+'/common');
+
+var MODES = ['record', 'replay'];
+var FILE_SUFFIX = '.cassette.json';
+// The text which replaces the parts of a request which match an 'ignore_patterns' expression
+var IGNORED = '<ignored>';
+
+/*
+ * A cassette in 'dir' in 'mode', which is one of MODES.  'rules' are the matching rules described above.
+ * 'redact' is a function which removes secrets from a value; secrets are redacted from the cassette
+ * files, and from each request before it is matched.
+ */
+function Cassette(dir,mode,rules,redact) {
+   if (!MODES.includes(mode)) {
+      throw Error(util.format("invalid cassette mode: '%s'; must be one of %j",mode,MODES));
+   }
+   rules = rules || {};
+   this.dir = dir;
+   this.mode = mode;
+   this.redact = redact || function(val) { return val; };
+   this.ignoreHeaders = (rules.ignore_headers || []).map(function(name) { return name.toLowerCase(); });
+   this.ignoreQuery = rules.ignore_query || [];
+   this.ignoreBody = rules.ignore_body || [];
+   this.ignorePatterns = (rules.ignore_patterns || []).map(function(pattern) {
+      try {
+         return new RegExp(pattern,'g');
+      } catch (err) {
+         throw Error(util.format("invalid cassette ignore_patterns expression '%s': %s",pattern,err.message));
+      }
+   });
+   // The recorded interactions, and in replay mode the recorded interactions keyed by match key
+   this.interactions = [];
+   this.unplayed = {};
+   if (mode === 'replay') this.load();
+}
+
+Cassette.prototype.isRecording = function() {
+   return this.mode === 'record';
+};
+
+// Send a request with the signature of the 'request' module, recording or replaying it
+Cassette.prototype.send = function(opts,cb) {
+   return this.isRecording() ? this.record(opts,cb) : this.replay(opts,cb);
+};
+
+Cassette.prototype.record = function(opts,cb) {
+   var self = this;
+   var req = self.getRequest(opts);
+   return request(opts,function(err,resp,body) {
+      if (!err) {
+         self.interactions.push({
+            key: self.getKey(req),
+            request: req,
+            response: self.getResponse(resp,body)
+         });
+      }
+      cb(err,resp,body);
+   });
+};
+
+Cassette.prototype.replay = function(opts,cb) {
+   var self = this;
+   var req = self.getRequest(opts);
+   // Nothing reads the files of a multipart body, so close them
+   common.forAll(opts.formData,function(name,val) {
+      if (val && val.value && common.isFunction(val.value.destroy)) val.value.destroy();
+   });
+   var recorded = self.unplayed[self.getKey(req)];
+   setImmediate(function() {
+      if (!recorded || recorded.length === 0) {
+         return cb(Error(util.format("no recorded response in cassette directory %s for %s %s",self.dir,req.method,req.url)));
+      }
+      var res = recorded.shift();
+      var body = res.encoding === 'base64' ? Buffer.from(res.body,'base64') : res.body;
+      cb(null,{ statusCode: res.statusCode, headers: res.headers, body: body },body);
+   });
+};
+
+// Get the recordable parts of the request options 'opts': its method, URL, headers and body
+Cassette.prototype.getRequest = function(opts) {
+   var req = {
+      method: (opts.method || 'GET').toUpperCase(),
+      url: String(opts.url || opts.uri),
+      headers: {}
+   };
+   common.forAll(opts.headers,function(name,val) {
+      req.headers[name.toLowerCase()] = val;
+   });
+   if (opts.body !== undefined) {
+      req.body = opts.body;
+   } else if (opts.form) {
+      req.form = opts.form;
+   } else if (opts.formData) {
+      // A file part is recorded by its file name rather than its contents
+      req.formData = {};
+      common.forAll(opts.formData,function(name,val) {
+         req.formData[name] = (val && val.options) ? { file: val.options.filename } : val;
+      });
+   }
+   return this.redact(req);
+};
+
+Cassette.prototype.getResponse = function(resp,body) {
+   var res = { statusCode: resp.statusCode, headers: resp.headers };
+   if (Buffer.isBuffer(body)) {
+      res.encoding = 'base64';
+      res.body = body.toString('base64');
+   } else {
+      res.body = body;
+   }
+   return res;
+};
+
+// Get the key by which a request is matched: the request after the matching rules have been applied
+Cassette.prototype.getKey = function(req) {
+   var self = this;
+   var key = common.cloneDeep(req);
+   var parsed = url.parse(key.url,true);
+   if (self.ignoreQuery.length > 0 && parsed.search) {
+      self.ignoreQuery.forEach(function(name) {
+         delete parsed.query[name];
+      });
+      delete parsed.search;
+      key.url = url.format(parsed);
+   }
+   self.ignoreHeaders.forEach(function(name) {
+      delete key.headers[name];
+   });
+   ['body', 'form', 'formData'].forEach(function(field) {
+      if (!common.isObject(key[field])) return;
+      self.ignoreBody.forEach(function(fieldPath) {
+         common.unset(key[field],fieldPath);
+      });
+   });
+   return JSON.stringify(self.ignoreVolatile(key));
+};
+
+// Replace the volatile parts of the strings in 'val' which match 'ignore_patterns'
+Cassette.prototype.ignoreVolatile = function(val) {
+   var self = this;
+   if (common.isString(val)) {
+      self.ignorePatterns.forEach(function(regex) {
+         val = val.replace(regex,IGNORED);
+      });
+      return val;
+   } else if (common.isArray(val)) {
+      return val.map(function(ele) { return self.ignoreVolatile(ele); });
+   } else if (common.isPlainObject(val)) {
+      var obj = {};
+      common.forAll(val,function(name,ele) {
+         obj[name] = self.ignoreVolatile(ele);
+      });
+      return obj;
+   }
+   return val;
+};
+
+// Load the interactions of the cassette files in the cassette directory
+Cassette.prototype.load = function() {
+   var self = this;
+   var files = getCassetteFiles(self.dir);
+   if (files.length === 0) throw Error(util.format("no cassette files were found in %s",self.dir));
+   files.forEach(function(file) {
+      var contents;
+      try {
+         contents = JSON.parse(fs.readFileSync(path.join(self.dir,file),'utf8'));
+      } catch (err) {
+         throw Error(util.format("invalid cassette file %s: %s",path.join(self.dir,file),err.message));
+      }
+      (contents.interactions || []).forEach(function(interaction) {
+         var key = self.getKey(interaction.request);
+         if (!self.unplayed[key]) self.unplayed[key] = [];
+         self.unplayed[key].push(interaction.response);
+      });
+   });
+};
+
+/*
+ * Write the recorded interactions to one file per host in the cassette directory and return the paths of the files.
+ * The interactions of a file are sorted by request, so that the cassettes of two runs can be compared,
+ * and requests which are the same are kept in the order in which they were sent.
+ */
+Cassette.prototype.save = function() {
+   var self = this;
+   var byHost = {};
+   self.interactions.forEach(function(interaction,index) {
+      interaction.index = index;
+      var host = url.parse(interaction.request.url).host || 'unknown';
+      if (!byHost[host]) byHost[host] = [];
+      byHost[host].push(interaction);
+   });
+   return Object.keys(byHost).sort().map(function(host) {
+      var interactions = byHost[host].sort(function(a,b) {
+         if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+         return a.index - b.index;
+      }).map(function(interaction) {
+         // Secrets such as tokens may have become known after the request was sent, so redact them now.
+         // An encoded body is binary data in which a secret can only appear by chance, so it is left as is.
+         var response = interaction.response;
+         if (response.encoding) {
+            response = common.assign(self.redact(common.omit(response,'body')),{ body: response.body });
+         } else {
+            response = self.redact(response);
+         }
+         return { request: self.redact(interaction.request), response: response };
+      });
+      var file = path.join(self.dir,host.replace(/[^\w.-]/g,'_') + FILE_SUFFIX);
+      fs.writeFileSync(file,JSON.stringify({ host: host, interactions: interactions },null,3) + '\n');
+      return file;
+   });
+};
+
+function getCassetteFiles(dir) {
+   return fs.readdirSync(dir).filter(function(file) {
+      return file.endsWith(FILE_SUFFIX);
+   }).sort();
+}
+
+exports.Cassette = Cassette;
+exports.modes = MODES;
@@ -0,0 +1,146 @@
+/*
+ * Rendering of graphs for 'hapi graph'.
+ * Hapi builds a graph of the compiled test tree and a graph of which APIs produce and consume
+ * each variable.  This module writes either graph as Graphviz DOT, Mermaid or JSON.
+ *
+ * A graph has the following fields:
+ *    name     - the name of the graph
+ *    nodes    - an array of nodes, each with an 'id', a 'label', a 'kind' (see NODE_STYLES) and
+ *               optional 'test' (the test id), 'consumes', 'produces' and 'serial_vars' fields
+ *    edges    - an array of edges, each with 'from' and 'to' node ids, a 'kind' (see EDGE_STYLES)
+ *               and an optional 'vars' field listing the variables which flow along the edge
+ *    clusters - an array of groups of nodes, each with a 'label' and the 'nodes' ids in the group
+ */
+'use strict';
+
+var util = require('util');
+
+// The DOT shape and Mermaid brackets of each kind of node
+var NODE_STYLES = {
+   root: { dot: 'shape=ellipse', mermaid: ['([', '])'] },
+   test: { dot: 'shape=box', mermaid: ['[', ']'] },
+   preRun: { dot: 'shape=box, style=dashed', mermaid: ['[/', '/]'] },
+   postRun: { dot: 'shape=box, style=dashed', mermaid: ['[\\', '\\]'] },
+   api: { dot: 'shape=box', mermaid: ['[', ']'] },
+   var: { dot: 'shape=ellipse', mermaid: ['((', '))'] },
+   predefinedVar: { dot: 'shape=ellipse, style=filled, fillcolor=lightgrey', mermaid: ['([', '])'] }
+};
+
+// The DOT style and Mermaid arrow of each kind of edge
+var EDGE_STYLES = {
+   child: { dot: '', mermaid: '-->' },
+   preRun: { dot: 'style=dashed', mermaid: '-.->' },
+   postRun: { dot: 'style=dashed', mermaid: '-.->' },
+   produces: { dot: '', mermaid: '-->' },
+   consumes: { dot: 'style=dotted', mermaid: '-.->' }
+};
+
+var renderers = {
+   dot: { extension: 'dot', render: renderDot },
+   mermaid: { extension: 'mmd', render: renderMermaid },
+   json: { extension: 'json', render: renderJson }
+};
+
+// Render 'graph' in 'format', which is one of 'formats'
+function render(graph,format) {
+   return getRenderer(format).render(graph);
+}
+
+// Get the file name extension for 'format'
+function getFileExtension(format) {
+   return getRenderer(format).extension;
+}
+
+function getRenderer(format) {
+   var renderer = renderers[format];
+   if (!renderer) {
+      throw Error(util.format("invalid graph format: '%s'; must be one of %j",format,Object.keys(renderers)));
+   }
+   return renderer;
+}
+
+function renderDot(graph) {
+   var ids = getSafeIds(graph);
+   var lines = [];
+   lines.push(util.format('digraph "%s" {',graph.name));
+   lines.push('   node [fontname="Helvetica", fontsize=10];');
+   lines.push('   edge [fontname="Helvetica", fontsize=9];');
+   graph.nodes.forEach(function(node) {
+      lines.push(util.format('   %s [label="%s", %s];',ids[node.id],
+                 getLabelLines(node).map(dotEscape).join('\\n'),NODE_STYLES[node.kind].dot));
+   });
+   graph.edges.forEach(function(edge) {
+      var attrs = [];
+      if (edge.vars && edge.vars.length > 0) attrs.push(util.format('label="%s"',dotEscape(edge.vars.join(', '))));
+      if (EDGE_STYLES[edge.kind].dot) attrs.push(EDGE_STYLES[edge.kind].dot);
+      var attrStr = attrs.length > 0 ? ' [' + attrs.join(', ') + ']' : '';
+      lines.push(util.format('   %s -> %s%s;',ids[edge.from],ids[edge.to],attrStr));
+   });
+   graph.clusters.forEach(function(cluster,index) {
+      lines.push(util.format('   subgraph cluster_%d {',index));
+      lines.push(util.format('      label="%s";',dotEscape(cluster.label)));
+      lines.push('      style=dashed;');
+      lines.push(util.format('      %s;',cluster.nodes.map(function(id) { return ids[id]; }).join('; ')));
+      lines.push('   }');
+   });
+   lines.push('}');
+   return lines.join('\n') + '\n';
+}
+
+function renderMermaid(graph) {
+   var ids = getSafeIds(graph);
+   var lines = [];
+   lines.push('flowchart TD');
+   graph.nodes.forEach(function(node) {
+      var brackets = NODE_STYLES[node.kind].mermaid;
+      lines.push(util.format('   %s%s"%s"%s',ids[node.id],brackets[0],
+                 getLabelLines(node).map(mermaidEscape).join('<br/>'),brackets[1]));
+   });
+   graph.edges.forEach(function(edge) {
+      var label = (edge.vars && edge.vars.length > 0) ? util.format('|"%s"|',mermaidEscape(edge.vars.join(', '))) : '';
+      lines.push(util.format('   %s %s%s %s',ids[edge.from],EDGE_STYLES[edge.kind].mermaid,label,ids[edge.to]));
+   });
+   graph.clusters.forEach(function(cluster,index) {
+      lines.push(util.format('   subgraph cluster_%d ["%s"]',index,mermaidEscape(cluster.label)));
+      cluster.nodes.forEach(function(id) {
+         lines.push('      ' + ids[id]);
+      });
+      lines.push('   end');
+   });
+   return lines.join('\n') + '\n';
+}
+
+function renderJson(graph) {
+   return JSON.stringify(graph,null,3) + '\n';
+}
+
+// Map the id of each node to an id which is valid in DOT and Mermaid
+function getSafeIds(graph) {
+   var ids = {};
+   graph.nodes.forEach(function(node,index) {
+      ids[node.id] = 'n' + index;
+   });
+   return ids;
+}
+
+// Get the lines of the label of a node: its label followed by its variables and serial queue
+function getLabelLines(node) {
+   var lines = [node.label];
+   if (node.test) lines.push('test: ' + node.test);
+   if (node.consumes && node.consumes.length > 0) lines.push('consumes: ' + node.consumes.join(', '));
+   if (node.produces && node.produces.length > 0) lines.push('produces: ' + node.produces.join(', '));
+   if (node.serial_vars && node.serial_vars.length > 0) lines.push('serial: ' + node.serial_vars.join(', '));
+   return lines;
+}
+
+function dotEscape(str) {
+   return String(str).replace(/\\/g,'\\\\').replace(/"/g,'\\"');
+}
+
+function mermaidEscape(str) {
+   return String(str).replace(/"/g,'#quot;').replace(/</g,'#lt;').replace(/>/g,'#gt;');
+}
+
+exports.render = render;
+exports.getFileExtension = getFileExtension;
+exports.formats = Object.keys(renderers);
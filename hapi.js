@@ -23,12 +23,94 @@ var util = require('util');
 var common = require(__dirname+'/common');
 var tv4 = require('tv4');
 var glob = require('glob');
+var yaml = require('js-yaml');
+var jmespath = require('jmespath');
+var crypto = require('crypto');
+var DOMParser = require('@xmldom/xmldom').DOMParser;
+var xpath = require('xpath');
+var xmllint = require('xmllint-wasm');
+var htmldoc = require(__dirname+'/htmldoc');
+var graph = require(__dirname+'/graph');
+var reporters = require(__dirname+'/reporters');
+var cassettes = require(__dirname+'/cassettes');
+var load = require(__dirname+'/load');
+var apiwriter = require(__dirname+'/apiwriter');
+var harimport = require(__dirname+'/harimport');
+var swaggerimport = require(__dirname+'/swaggerimport');
+// The JSON schemas of an API file and of the 'hapi' section of a hapi.js file
+var apiSchema = require(__dirname+'/schemas/api.json');
+var hapiSchema = require(__dirname+'/schemas/hapi.json');
 
 var log;
+// The text which replaces the value of a secret in logs and reports
+var REDACTED = '******';
 var APP_JSON = 'application/json';
+var FORM_URLENCODED = 'application/x-www-form-urlencoded';
+var MULTIPART_FORM_DATA = 'multipart/form-data';
+// The fields of a var_set or var_new action from which a variable's value may be taken
+var VAR_SOURCES = ['value', 'path', 'fcn', 'header', 'cookie', 'xpath'];
 var FORMAT_IGNORE = 'format_ignore';
 var SCHEMA_REFS = false;
 
+// The OAuth2 grant types supported by the 'auth' section of a virtual host
+var AUTH_GRANTS = ['client_credentials', 'password', 'refresh_token'];
+// The default number of seconds before a token expires at which it is renewed
+var AUTH_EXPIRY_MARGIN = 30;
+
+// The defaults of the 'retry' rules of a response or test: the maximum number of attempts, the seconds to wait
+// before each retry, and the status codes and network error codes which are retried
+var RETRY_DEFAULTS = {
+   attempts: 3,
+   backoff: [1],
+   statuses: [502, 503, 504],
+   errors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']
+};
+// The defaults of the 'until' poll condition of a response or test: the seconds between polls and before giving up
+var UNTIL_DEFAULTS = { interval: 1, timeout: 30 };
+
+// The ways in which the 'pagination' of a response finds the next page: a link in the body, a Link header, or an offset
+var PAGINATION_MODES = ['next_path', 'link_header', 'offset_param'];
+// The defaults of the 'pagination' of a response
+var PAGINATION_DEFAULTS = { max_pages: 10, limit_param: 'limit' };
+
+// The default number of seconds for which 'load' runs
+var LOAD_DURATION = 30;
+// The files to which 'load' writes its summary, and the function which renders each
+var LOAD_REPORTS = { 'hapi-load.json': load.renderJson, 'hapi-load.html': load.renderHtml };
+
+// The formats of the documentation generated by gendoc
+var DOC_FORMATS = ['swagger', 'openapi3'];
+var OPENAPI_VERSION = '3.0.3';
+// The types of documentation files written by gendoc
+var DOC_TYPES = ['json', 'yaml', 'html'];
+
+// The prefix of the names of the environment variables which set the values of variables
+var VAR_ENV_PREFIX = 'HAPI_VAR_';
+
+// The formats of the problems reported by lint
+var LINT_FORMATS = ['text', 'json'];
+// The fields which lint expects in an API file, a response and a variable definition; others are reported as warnings
+var API_FIELDS = Object.keys(apiSchema.properties);
+var RESPONSE_FIELDS = Object.keys(apiSchema.definitions.response.properties);
+var VARIABLE_FIELDS = Object.keys(hapiSchema.definitions.variable.properties);
+var HTTP_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH'];
+
+// The commands which write draft API definition files from a file given as a second argument
+var IMPORT_COMMANDS = ['import-har', 'import-swagger'];
+
+// Process exit codes
+var EXIT_CODES = {
+   ok: 0,
+   usage: 1,
+   testFailures: 2,
+   compileErrors: 3,
+   loadErrors: 4,
+   docErrors: 5,
+   runErrors: 6,
+   lintErrors: 7,
+   importErrors: 8
+};
+
 // Custom validator function to ignore
 tv4.addFormat(FORMAT_IGNORE, function(data,schema) { return null; });
 
@@ -45,6 +127,26 @@ function Hapi(vars) {
    this.errors = [];
    this.inDir = this.outDir = process.cwd();
    this.serialQueues = {};
+   this.varDeleteApis = {};
+   this.reportFormats = [];
+   this.docFormat = 'swagger';
+   this.docTypes = ['json'];
+   this.graphFormat = 'dot';
+   this.lintFormat = 'text';
+   this.linter = null;
+   this.dryRun = false;
+   this.cassetteMode = null;
+   this.cassetteDir = null;
+   this.cassetteRules = {};
+   this.cassette = null;
+   this.loadDuration = LOAD_DURATION;
+   this.loadRate = null;
+   this.loadUsers = null;
+   this.loading = false;
+   this.environment = null;
+   this.environmentNames = [];
+   // The names of the variables whose values are secret, including those derived from secret variables
+   this.secretVars = [];
 }
 
 //Set the log level
@@ -84,6 +186,155 @@ Hapi.prototype.setOutputDir = function(dir) {
    this.outDir = dir;
 };
 
+// Get the format of the documentation generated by gendoc
+Hapi.prototype.getDocFormat = function() {
+   return this.docFormat;
+};
+
+// Set the format of the documentation generated by gendoc; one of DOC_FORMATS
+Hapi.prototype.setDocFormat = function(format) {
+   if (!DOC_FORMATS.includes(format)) {
+      throw Error(util.format("invalid doc format: '%s'; must be one of %j",format,DOC_FORMATS));
+   }
+   this.docFormat = format;
+};
+
+// Get the types of the documentation files written by gendoc
+Hapi.prototype.getDocTypes = function() {
+   return this.docTypes;
+};
+
+// Set the types of the documentation files written by gendoc; each is one of DOC_TYPES
+Hapi.prototype.setDocTypes = function(types) {
+   types.forEach(function(type) {
+      if (!DOC_TYPES.includes(type)) {
+         throw Error(util.format("invalid doc type: '%s'; must be one of %j",type,DOC_TYPES));
+      }
+   });
+   this.docTypes = types;
+};
+
+// Get the format of the graphs written by 'graph'
+Hapi.prototype.getGraphFormat = function() {
+   return this.graphFormat;
+};
+
+// Set the format of the graphs written by 'graph'; one of graph.formats
+Hapi.prototype.setGraphFormat = function(format) {
+   graph.getFileExtension(format);
+   this.graphFormat = format;
+};
+
+// Get the format of the problems reported by 'lint'
+Hapi.prototype.getLintFormat = function() {
+   return this.lintFormat;
+};
+
+// Set the format of the problems reported by 'lint'; one of LINT_FORMATS
+Hapi.prototype.setLintFormat = function(format) {
+   if (!LINT_FORMATS.includes(format)) {
+      throw Error(util.format("invalid lint format: '%s'; must be one of %j",format,LINT_FORMATS));
+   }
+   this.lintFormat = format;
+};
+
+// Return true if 'run' prints the requests of the tests rather than sending them
+Hapi.prototype.isDryRun = function() {
+   return this.dryRun;
+};
+
+Hapi.prototype.setDryRun = function(dryRun) {
+   this.dryRun = dryRun;
+};
+
+// Get the mode of the cassettes of 'run', which is one of cassettes.modes, or null if traffic is not recorded or replayed
+Hapi.prototype.getCassetteMode = function() {
+   return this.cassetteMode;
+};
+
+// Get the directory of the cassette files which 'run' records or replays
+Hapi.prototype.getCassetteDir = function() {
+   return this.cassetteDir;
+};
+
+// Set 'run' to record its HTTP traffic to, or replay it from, the cassette files in 'dir'; 'mode' is one of cassettes.modes
+Hapi.prototype.setCassette = function(mode,dir) {
+   if (!cassettes.modes.includes(mode)) {
+      throw Error(util.format("invalid cassette mode: '%s'; must be one of %j",mode,cassettes.modes));
+   }
+   this.cassetteMode = mode;
+   this.cassetteDir = dir;
+};
+
+// Get the number of seconds for which 'load' runs
+Hapi.prototype.getLoadDuration = function() {
+   return this.loadDuration;
+};
+
+Hapi.prototype.setLoadDuration = function(arg) {
+   var duration = strToNumber(arg);
+   if (!isNonNegativeNumber(duration) || duration === 0) {
+      throw Error(util.format("invalid duration: '%s'; must be a positive number of seconds",arg));
+   }
+   this.loadDuration = duration;
+};
+
+// Get the number of iterations of the test tree which 'load' starts per second, or null if it runs concurrent users
+Hapi.prototype.getLoadRate = function() {
+   return this.loadRate;
+};
+
+Hapi.prototype.setLoadRate = function(arg) {
+   var rate = strToNumber(arg);
+   if (!isNonNegativeNumber(rate) || rate === 0) {
+      throw Error(util.format("invalid rate: '%s'; must be a positive number of iterations per second",arg));
+   }
+   if (this.loadUsers) throw Error("only one of the rate and the number of users of a load test may be set");
+   this.loadRate = rate;
+};
+
+// Get the number of concurrent users, each of which runs iterations of the test tree one after another, for 'load'
+Hapi.prototype.getLoadUsers = function() {
+   return this.loadUsers;
+};
+
+Hapi.prototype.setLoadUsers = function(arg) {
+   var users = strToInt(arg);
+   if (!isInteger(users) || users < 1) {
+      throw Error(util.format("invalid number of users: '%s'; must be a positive integer",arg));
+   }
+   if (this.loadRate) throw Error("only one of the rate and the number of users of a load test may be set");
+   this.loadUsers = users;
+};
+
+// Get the name of the environment profile whose variable values are used, or null if there is none
+Hapi.prototype.getEnvironment = function() {
+   return this.environment;
+};
+
+// Set the name of the environment profile, which selects a block of the 'environments' sections
+Hapi.prototype.setEnvironment = function(name) {
+   this.environment = name;
+};
+
+// Return true if an 'environments' section of a hapi.js file defines the environment 'name'
+Hapi.prototype.definesEnvironment = function(name) {
+   return this.environmentNames.includes(name);
+};
+
+// Get the formats of the reports written by 'run'
+Hapi.prototype.getReportFormats = function() {
+   return this.reportFormats;
+};
+
+// Set the formats of the reports written by 'run' (see reporters.reporterNames)
+Hapi.prototype.setReportFormats = function(formats) {
+   formats.forEach(function(format) {
+      reporters.getReporter(format);
+   });
+   this.reportFormats = formats;
+};
+
 // Load HAPIs from a directory
 Hapi.prototype.loadFromDir = function(dir) {
    var self = this;
@@ -93,22 +344,47 @@ Hapi.prototype.loadFromDir = function(dir) {
    self.errors = loader.getErrors();
    if (self.errors.length === 0) {
       this.loadInfo(loader.getInfo(),null,normalizeVars(self.vars));
+      this.loadSecrets();
    }
 };
 
-Hapi.prototype.loadInfo = function(info,vhost,vars) {
+// Load the APIs of 'info' from the directory 'dir', relative to the input directory, into the virtual host 'vhost'.
+// When linting, the linter checks each section as it is loaded and records the problems rather than failing.
+Hapi.prototype.loadInfo = function(info,vhost,vars,dir) {
    var self = this;
+   if (self.linter && !self.linter.lintScope(info,vhost,vars,dir)) return;
+   // Transforms are added first since they may compute the values of the variables
+   forAll(info.transforms,function(name,fcn) {
+      addTransform(name,fcn);
+   });
+   // The command line setting takes precedence
+   if (info.hasOwnProperty('concurrency') && self.getConcurrency() === undefined) {
+      self.setConcurrency(info.concurrency);
+   }
+   if (info.cassette) {
+      self.cassetteRules = merge(self.cassetteRules,info.cassette);
+   }
+   if (info.environments) {
+      vars = merge(vars,normalizeVars(self.loadEnvironment(info.environments)));
+   }
    if (info.variables) {
       vars = merge(vars,info.variables);
       for (var key in info.variables) {
          if (!self.vars.hasOwnProperty(key) && info.variables[key].hasOwnProperty('value')) {
             self.vars[key] = info.variables[key].value;
          }
+         if (info.variables[key].secret) self.secretVars.addUniq(key);
       }
    }
    if (info.virtual_host) {
       if (vhost) throw Error("multiple levels of virtual hosts are not permitted");
-      vhost = new VirtualHost(self,info.virtual_host,vars);
+      try {
+         vhost = new VirtualHost(self,info.virtual_host,vars);
+      } catch (err) {
+         // The APIs of the virtual host are not loaded, since each of them would fail for want of it
+         self.errors.push(log.isTraceEnabled() ? err.stack : err.message);
+         return;
+      }
       self.virtualHosts.push(vhost);
       if (log.isDebugEnabled()) log.debug("loaded virtual host %s",vhost.getName());
    }
@@ -120,21 +396,27 @@ Hapi.prototype.loadInfo = function(info,vhost,vars) {
          var val = ele.value;
          switch(type) {
          case 'api':
+            if (self.linter && !self.linter.lintApi(ele.file,val,vars,vhost)) break;
             try {
                if (!vhost) throw Error(util.format("no virtual host for API %s",name));
                val.name = name;
+               val.file = ele.file;
                val.vars = vars;
                val.vhost = vhost;
                var mra = new MultiResponseApi(self,val);
                self.mapis.push(mra);
                vhost.mapis.push(mra);
             } catch (err) {
-               var apiErr = log.isTraceEnabled() ? err.stack : err;
-               self.errors.push(util.format("%s: %s",name,apiErr));
+               if (self.linter) {
+                  self.linter.error(ele.file,'',err.message);
+               } else {
+                  var apiErr = log.isTraceEnabled() ? err.stack : err;
+                  self.errors.push(util.format("%s: %s",name,apiErr));
+               }
             }
             break;
          case 'elements':
-            self.loadInfo(val,vhost,vars);
+            self.loadInfo(val,vhost,vars,name);
             break;
          default:
             throw Error("invalid type: "+type);
@@ -143,6 +425,50 @@ Hapi.prototype.loadInfo = function(info,vhost,vars) {
    }
 };
 
+/*
+ * A variable whose value references a secret variable, such as { base64Encode: '$userName:$userPass' }
+ * where userPass is secret, is also secret.  Find all such variables, then add the values of the secret
+ * variables which are known at compile time to the secrets redacted by the logger.  The values of the
+ * others are added when they are set or computed at run time.
+ */
+Hapi.prototype.loadSecrets = function() {
+   var self = this;
+   var added = true;
+   while (added) {
+      added = false;
+      forAll(self.vars,function(name,val) {
+         if (!self.secretVars.includes(name) && common.intersection(getVarNames(val),self.secretVars).length > 0) {
+            self.secretVars.push(name);
+            added = true;
+         }
+      });
+   }
+   var vars = normalizeVars(self.vars);
+   self.secretVars.forEach(function(name) {
+      try {
+         var val = getVarValue(name,vars);
+         if (!isTransform(val)) log.addSecret(val);
+      } catch (err) {
+         // The value depends on a variable which is not known until run time
+      }
+   });
+};
+
+/*
+ * Set the variable values of the selected environment from an 'environments' section, which maps
+ * each environment name to its variable values.  Values set on the command line, by a config file or
+ * by an environment variable take precedence.  Return the values of the selected environment.
+ */
+Hapi.prototype.loadEnvironment = function(environments) {
+   var self = this;
+   self.environmentNames = common.union(self.environmentNames,Object.keys(environments));
+   var values = (self.environment && environments[self.environment]) || {};
+   forAll(values,function(name,val) {
+      if (!self.vars.hasOwnProperty(name)) self.vars[name] = val;
+   });
+   return values;
+};
+
 Hapi.prototype.addMapi = function(info,vhost,vars) {
    var self = this;
    if (info.variables) {
@@ -194,27 +520,46 @@ Hapi.prototype.addMapi = function(info,vhost,vars) {
 Hapi.prototype.gendoc = function() {
    var self = this;
    var result = 0;
-   if (log.isInfoEnabled()) log.info("generating doc ...");
+   var format = self.docFormat;
+   var prefix = format === 'openapi3' ? 'openapi' : 'swagger';
+   if (log.isInfoEnabled()) log.info("generating %s doc ...",format);
    for (var i = 0; i < self.virtualHosts.length; i++) {
       var vhost = self.virtualHosts[i];
       try {
-         var doc = vhost.gendoc();
-         var file = self.outDir + "/swagger-" + vhost.getName() + ".json";
-         fs.writeFileSync(file,JSON.stringify(doc,null,3));
-         if (log.isInfoEnabled()) log.info("created %s",file);
+         var doc = vhost.gendoc(format);
+         for (var j = 0; j < self.docTypes.length; j++) {
+            var type = self.docTypes[j];
+            var file = self.outDir + "/" + prefix + "-" + vhost.getName() + "." + type;
+            fs.writeFileSync(file,self.getDocContents(vhost,doc,type));
+            if (log.isInfoEnabled()) log.info("created %s",file);
+         }
       } catch (err) {
          var apiErr = log.isTraceEnabled() ? err.stack : err;
          self.errors.push(util.format("failure generating %s virtual host documentation: %s",vhost.getName(),apiErr));
-         result = 2;
       }
    }
    if (self.errors.length > 0) {
       self.logErrors("Documentation Errors");
-      result = 3;
+      result = EXIT_CODES.docErrors;
    }
    return result;
 };
 
+// Get the contents of a documentation file of 'type' for a virtual host's doc
+Hapi.prototype.getDocContents = function(vhost,doc,type) {
+   switch(type) {
+   case 'json':
+      return JSON.stringify(doc,null,3);
+   case 'yaml':
+      // Round trip through JSON to drop undefined fields, which YAML can't represent
+      return yaml.safeDump(JSON.parse(JSON.stringify(doc)),{noRefs:true});
+   case 'html':
+      return htmldoc.render(doc,vhost.getDocVariables());
+   default:
+      throw Error(util.format("invalid doc type: %s",type));
+   }
+};
+
 // Compile the HAPIs associated with 'names' which can be an individual test name or group name
 // Compilation involves building a test tree based on the dependency graph associated with:
 // 1) what a HAPI consumes (i.e. the variables that it takes as input) and
@@ -241,6 +586,12 @@ Hapi.prototype.compile = function(testNames) {
    // Insert all of the HAPI's which match the name of the test (or all if null) into a tree
    // rooted at 'root'
    var root = new Node(this,null);
+   // Report unsatisfiable dependencies up front rather than failing part way through building the tree
+   self.errors = self.errors.concat(self.checkDependencies(apisToInsert).map(function(error) { return error.message; }));
+   if (self.errors.length > 0) {
+      self.logErrors("COMPILATION ERRORS");
+      return root;
+   }
    for (i = 0; i < apisToInsert.length; i++) {
       api = apisToInsert[i];
       try {
@@ -258,22 +609,490 @@ Hapi.prototype.compile = function(testNames) {
    return root;
 };
 
+/*
+ * Check that each of 'apis' can be inserted into the test tree; that is, that each variable it consumes is
+ * predefined or is produced by another API which can itself be inserted.  Return an error for each API which
+ * can't be, showing the chain of APIs from it to the cause: a variable which is never produced or a dependency cycle.
+ * A cycle is reported once, for the first of its APIs, rather than for each of them.
+ * Each error has the 'api', a 'message' and whether the cause is a dependency 'cycle'.
+ */
+Hapi.prototype.checkDependencies = function(apis) {
+   var self = this;
+   var insertable = self.apis.filter(function(api) { return self.isInsertableApi(api); });
+   var required = {};
+   insertable.forEach(function(api) {
+      var predefined = api.getPredefinedVars();
+      required[api.name] = api.consumes.filter(function(varName) { return !predefined.includes(varName); });
+   });
+   function getProducers(varName) {
+      return insertable.filter(function(api) { return api.produces.includes(varName); });
+   }
+   // Find the APIs which can be inserted, starting from those which require no variables
+   var satisfied = [];
+   var changed = true;
+   while (changed) {
+      changed = false;
+      insertable.forEach(function(api) {
+         if (satisfied.includes(api)) return;
+         var ok = required[api.name].every(function(varName) {
+            return getProducers(varName).some(function(producer) {
+               return producer !== api && satisfied.includes(producer);
+            });
+         });
+         if (ok) {
+            satisfied.push(api);
+            changed = true;
+         }
+      });
+   }
+   // Follow the unsatisfied variables from 'api' until reaching a variable with no producers or an API already in 'steps'
+   function explain(api,steps) {
+      var vars = required[api.name];
+      for (var i = 0; i < vars.length; i++) {
+         var producers = getProducers(vars[i]);
+         if (producers.some(function(producer) { return producer !== api && satisfied.includes(producer); })) continue;
+         var chain = steps.concat([{ api: api, varName: vars[i] }]);
+         if (producers.length === 0) return { varName: vars[i], steps: chain };
+         for (var j = 0; j < producers.length; j++) {
+            var index = chain.findIndex(function(step) { return step.api === producers[j]; });
+            if (index >= 0) return { cycle: producers[j], steps: chain.slice(index), chain: chain };
+            var result = explainFrom(producers[j],chain);
+            if (result) return result;
+         }
+      }
+      return null;
+   }
+   /*
+    * Explain 'api' following 'steps', reusing the cause already found for it so that the chains of producers shared
+    * by many APIs are followed only once.  Only the part of a cause which follows 'api' is kept, and it isn't
+    * reused when it passes through 'steps', since following the chain from 'steps' would find a cycle through them.
+    */
+   var causes = {};
+   function explainFrom(api,steps) {
+      var cause = causes[api.name];
+      if (cause !== undefined) {
+         if (!cause) return cause;
+         var causeApis = (cause.chain || cause.steps).map(function(step) { return step.api; });
+         if (!steps.some(function(step) { return causeApis.includes(step.api); })) {
+            if (cause.cycle) return { cycle: cause.cycle, steps: cause.steps, chain: steps.concat(cause.chain) };
+            return { varName: cause.varName, steps: steps.concat(cause.steps) };
+         }
+      }
+      var result = explain(api,steps);
+      if (!result) {
+         causes[api.name] = null;
+      } else if (!result.cycle) {
+         causes[api.name] = { varName: result.varName, steps: result.steps.slice(steps.length) };
+      } else if (result.chain.length - result.steps.length >= steps.length) {
+         causes[api.name] = { cycle: result.cycle, steps: result.steps, chain: result.chain.slice(steps.length) };
+      }
+      return result;
+   }
+   var errors = [];
+   // The cycles already reported, each keyed by the sorted names of its APIs
+   var cycles = [];
+   apis.forEach(function(api) {
+      if (!self.isInsertableApi(api) || satisfied.includes(api)) return;
+      var cause = explainFrom(api,[]);
+      if (!cause) return;
+      var message;
+      if (cause.cycle) {
+         var cycle = formatDependencyChain(cause.steps) + ' -> ' + cause.cycle.name;
+         if (cause.chain.length === cause.steps.length) {
+            var key = cause.steps.map(function(step) { return step.api.name; }).sort().join(' ');
+            if (cycles.includes(key)) return;
+            cycles.push(key);
+            message = util.format("%s: dependency cycle: %s",api.name,cycle);
+         } else {
+            message = util.format("%s is unreachable because of a dependency cycle: %s; cycle: %s",
+                                  api.name,formatDependencyChain(cause.chain),cycle);
+         }
+      } else if (cause.steps.length === 1) {
+         message = util.format("%s: variable '%s' is consumed but is not produced by any API or predefined",
+                               api.name,cause.varName);
+      } else {
+         message = util.format("%s is unreachable because variable '%s' is not produced by any API or predefined: %s",
+                               api.name,cause.varName,formatDependencyChain(cause.steps));
+      }
+      errors.push({ api: api, message: message, cycle: !!cause.cycle });
+   });
+   return errors;
+};
+
 // Run the HAPIs which match 'testNames', or all if 'testNames' is undefined
-Hapi.prototype.run = function(testNames) {
+// When all tests have finished, 'cb' is called with an error and a summary of the results.
+// The error has an 'exitCode' field identifying the type of failure.
+Hapi.prototype.run = function(testNames,cb) {
    var self = this;
+   cb = cb || function() {};
+   var root;
+   try {
+      root = self.compile(testNames);
+   } catch (err) {
+      self.errors.push(log.isTraceEnabled() ? err.stack : err.toString());
+   }
+   if (!root || self.errors.length > 0) {
+      return cb(exitError("compilation errors",EXIT_CODES.compileErrors));
+   }
+   if (self.dryRun) {
+      log.info("\nDRY RUN: requests are not sent and hooks are not run");
+      var errors = new RunContext(self.vars,root,0,1).dryRun();
+      if (errors > 0) return cb(exitError(util.format("%d requests could not be resolved",errors),EXIT_CODES.runErrors));
+      return cb();
+   }
+   try {
+      if (self.cassetteMode) {
+         self.cassette = new cassettes.Cassette(self.cassetteDir,self.cassetteMode,self.cassetteRules,log.redact.bind(log));
+      }
+   } catch (err) {
+      log.error(err.message);
+      return cb(exitError(err.message,EXIT_CODES.runErrors));
+   }
    try {
-      var root = self.compile(testNames);
-      if (!root || self.errors.length > 0) return;
       log.info("\nBEGIN TESTS (%s)",Date.format("dddd, mmmm dS, yyyy, h:MM:ss TT"));
+      if (self.environment) log.info("Environment: %s",self.environment);
+      if (self.cassette) log.info("%s HTTP traffic %s cassette directory %s",self.cassette.isRecording() ? "Recording" : "Replaying",
+                                  self.cassette.isRecording() ? "to" : "from",self.cassetteDir);
       log.addTimeStamp = true;
       self.cookieJar = request.jar();
+      self.results = new reporters.TestResults(self.environment);
       var ctx = new RunContext(self.vars,root,0,1);
-      ctx.run();
+      ctx.run(function(err) {
+         self.endRun(cb);
+      });
    } catch (err) {
       var apiErr = log.isTraceEnabled() ? err.stack : err;
       log.error(apiErr);
+      self.errors.push(apiErr);
+      self.endRun(cb);
+   }
+};
+
+/*
+ * Run a load test of the HAPIs which match 'testNames', or all if 'testNames' is undefined.
+ * Each iteration runs the compiled test tree with its own copy of the variables, so the preRun and postRun
+ * APIs of the tree set up and tear down the objects used by each iteration.  Iterations are started at the
+ * load rate, or by each of the concurrent users one after another, until the load duration has passed.
+ * When the iterations which were started have finished, the statistics of each API are logged and written
+ * to the output directory.  'cb' is called with an error which has an 'exitCode' field, as for 'run'.
+ */
+Hapi.prototype.load = function(testNames,cb) {
+   var self = this;
+   cb = cb || function() {};
+   var root;
+   try {
+      root = self.compile(testNames);
+   } catch (err) {
+      self.errors.push(log.isTraceEnabled() ? err.stack : err.toString());
+   }
+   if (!root || self.errors.length > 0) {
+      return cb(exitError("compilation errors",EXIT_CODES.compileErrors));
+   }
+   var settings = { duration: self.loadDuration };
+   if (self.loadRate) settings.rate = self.loadRate;
+   else settings.users = self.loadUsers || 1;
+   log.info("\nBEGIN LOAD TEST (%s): %s for %ds",Date.format("dddd, mmmm dS, yyyy, h:MM:ss TT"),
+            settings.rate ? util.format("%d iterations per second",settings.rate) : util.format("%d concurrent users",settings.users),
+            settings.duration);
+   if (self.environment) log.info("Environment: %s",self.environment);
+   self.results = new load.LoadStats(settings,self.environment);
+   self.loading = true;
+   var endTime = Date.now() + settings.duration * 1000;
+   var runIteration = function(done) {
+      self.results.addIteration();
+      try {
+         // Each iteration is a virtual user with its own cookies
+         var ctx = new RunContext(clone(self.vars),root,0,1);
+         ctx.cookieJar = request.jar();
+         ctx.run(function() { done(); });
+      } catch (err) {
+         self.errors.push(log.isTraceEnabled() ? err.stack : err.toString());
+         done();
+      }
+   };
+   var isRunning = function() {
+      return Date.now() < endTime && self.errors.length === 0;
+   };
+   var finish = function() {
+      self.loading = false;
+      self.endLoad(cb);
+   };
+   if (settings.rate) {
+      // An iteration starts at once and then one each interval, until the end time
+      var outstanding = 0;
+      var timer, endTimer;
+      var stop = function() {
+         if (!timer) return;
+         clearInterval(timer);
+         clearTimeout(endTimer);
+         timer = null;
+         if (outstanding === 0) finish();
+      };
+      var startIteration = function() {
+         if (!isRunning()) return stop();
+         outstanding++;
+         runIteration(function() {
+            outstanding--;
+            if (!timer && outstanding === 0) finish();
+         });
+      };
+      timer = setInterval(startIteration,1000 / settings.rate);
+      endTimer = setTimeout(stop,endTime - Date.now());
+      startIteration();
+   } else {
+      async.times(settings.users,function(user,next) {
+         async.whilst(isRunning,runIteration,next);
+      },finish);
+   }
+};
+
+Hapi.prototype.endLoad = function(cb) {
+   var self = this;
+   self.results.end();
+   var summary = self.results.getSummary();
+   log.info("\nEND LOAD TEST: iterations=%d, requests=%d, errors=%d, elapsed=%ds",
+            summary.iterations,summary.total.requests,summary.total.errors,summary.elapsed);
+   load.renderText(summary).forEach(function(line) {
+      log.info(line);
+   });
+   forAll(LOAD_REPORTS,function(name,render) {
+      var file = path.join(self.outDir,name);
+      try {
+         fs.writeFileSync(file,render(summary));
+         if (log.isInfoEnabled()) log.info("created %s",file);
+      } catch (err) {
+         var apiErr = log.isTraceEnabled() ? err.stack : err;
+         self.errors.push(util.format("failure writing %s: %s",file,apiErr));
+      }
+   });
+   self.logErrors("Runtime Errors");
+   if (self.errors.length > 0) return cb(exitError("runtime errors",EXIT_CODES.runErrors),summary);
+   if (summary.total.errors > 0) return cb(exitError("test failures",EXIT_CODES.testFailures),summary);
+   return cb(null,summary);
+};
+
+/*
+ * Write graphs of the HAPIs which match 'testNames', or all if 'testNames' is undefined, to the output directory:
+ * 1) hapi-tree, the compiled test tree, which shows the order in which the tests are run;
+ * 2) hapi-vars, the variables produced and consumed by each API, which shows why a test is where it is in the tree.
+ * Return an exit code.
+ */
+Hapi.prototype.graph = function(testNames) {
+   var self = this;
+   var root;
+   try {
+      root = self.compile(testNames);
+   } catch (err) {
+      self.errors.push(log.isTraceEnabled() ? err.stack : err.toString());
+   }
+   if (!root || self.errors.length > 0) return EXIT_CODES.compileErrors;
+   [self.getTreeGraph(root),self.getVarGraph()].forEach(function(g) {
+      var file = path.join(self.outDir,g.name + '.' + graph.getFileExtension(self.graphFormat));
+      fs.writeFileSync(file,graph.render(g,self.graphFormat));
+      if (log.isInfoEnabled()) log.info("created %s",file);
+   });
+   return EXIT_CODES.ok;
+};
+
+/*
+ * Get the graph (see graph.js) of the test tree rooted at 'root', including the get (preRun) and delete (postRun)
+ * nodes of each var_new.  Each edge from a parent to a child is labeled with the variables which the child consumes
+ * and the parent produces, and the tests which run in the same serial queue are clustered together.
+ */
+Hapi.prototype.getTreeGraph = function(root) {
+   var result = { name: 'hapi-tree', nodes: [], edges: [], clusters: [] };
+   var queues = {};
+   function addNode(node,kind) {
+      var id = 't' + result.nodes.length;
+      var api = node.api;
+      if (!api) {
+         result.nodes.push({ id: id, label: 'root', kind: 'root' });
+         return id;
+      }
+      result.nodes.push({
+         id: id,
+         label: api.name,
+         kind: kind,
+         test: node.id,
+         consumes: api.consumes,
+         produces: api.produces,
+         serial_vars: api.serial_vars
+      });
+      if (api.serial_vars) {
+         var queue = api.serial_vars.join(', ');
+         queues[queue] = queues[queue] || [];
+         queues[queue].push(id);
+      }
+      // The tests below this one are added after it
+      if (node.preRun) addEdge(id,addNode(node.preRun,'preRun'),'preRun',[api.var_new.name]);
+      node.children.forEach(function(child) {
+         var vars = node.api ? common.intersection(child.api.consumes,node.api.produces) : [];
+         addEdge(id,addNode(child,'test'),'child',vars);
+      });
+      if (node.postRun) addEdge(id,addNode(node.postRun,'postRun'),'postRun',[api.var_new.name]);
+      return id;
+   }
+   function addEdge(from,to,kind,vars) {
+      result.edges.push({ from: from, to: to, kind: kind, vars: vars });
+   }
+   var rootId = addNode(root,'root');
+   root.children.forEach(function(child) {
+      addEdge(rootId,addNode(child,'test'),'child',[]);
+   });
+   forAll(queues,function(queue,ids) {
+      result.clusters.push({ label: 'serial: ' + queue, nodes: ids });
+   });
+   return result;
+};
+
+/*
+ * Get the graph (see graph.js) of the compiled APIs and the variables they consume and produce.
+ * A variable with a predefined value needs no producer.
+ */
+Hapi.prototype.getVarGraph = function() {
+   var self = this;
+   var result = { name: 'hapi-vars', nodes: [], edges: [], clusters: [] };
+   var varNames = [];
+   var predefined = [];
+   self.apis.forEach(function(api) {
+      result.nodes.push({ id: 'api:' + api.name, label: api.name, kind: 'api' });
+      api.consumes.forEach(function(varName) {
+         varNames.addUniq(varName);
+         if (api.predefinesVar(varName)) predefined.addUniq(varName);
+         result.edges.push({ from: 'var:' + varName, to: 'api:' + api.name, kind: 'consumes' });
+      });
+      varNames.addAllUniq(api.produces);
+   });
+   varNames.forEach(function(varName) {
+      var kind = predefined.includes(varName) ? 'predefinedVar' : 'var';
+      result.nodes.push({ id: 'var:' + varName, label: varName, kind: kind });
+      self.getApiProducers(varName).forEach(function(api) {
+         result.edges.push({ from: 'api:' + api.name, to: 'var:' + varName, kind: 'produces' });
+      });
+   });
+   return result;
+};
+
+/*
+ * Check the API definition files in the input directory for problems without compiling or running anything,
+ * and print all of the problems found in the lint format.  Return an exit code.
+ */
+Hapi.prototype.lint = function() {
+   var self = this;
+   var linter = new Linter(self);
+   var loader = new HapiLoader();
+   loader.loadFromDir(self.getInputDir());
+   var fileErrors = loader.getFileErrors();
+   fileErrors.forEach(function(fileError) {
+      linter.error(fileError.file,fileError.path,fileError.message);
+   });
+   // An error which is not in a file means that the input directory itself could not be loaded
+   var dirErrors = loader.getDirErrors();
+   dirErrors.forEach(function(msg) {
+      linter.error('hapi.js','',msg);
+   });
+   if (dirErrors.length === 0) {
+      self.linter = linter;
+      try {
+         self.loadInfo(loader.getInfo(),null,normalizeVars(self.vars));
+         linter.lintApis();
+      } catch (err) {
+         linter.error('','',log.isTraceEnabled() ? err.stack : err.message);
+      }
+      self.linter = null;
+   }
+   linter.print(self.lintFormat);
+   return linter.getErrors().length > 0 ? EXIT_CODES.lintErrors : EXIT_CODES.ok;
+};
+
+// Write draft API definition files to the output directory from the HTTP traffic recorded in the HAR file 'file'
+Hapi.prototype.importHar = function(file) {
+   return this.importApis('import-har',file,function(contents,writer) {
+      return harimport.importHar(JSON.parse(contents),writer);
+   });
+};
+
+/*
+ * Write a virtual host directory of draft API definition files to the output directory from the Swagger 2.0 or
+ * OpenAPI 3 document 'file', which is JSON or YAML.  The virtual host is named after the file.
+ */
+Hapi.prototype.importSwagger = function(file) {
+   return this.importApis('import-swagger',file,function(contents,writer) {
+      var spec = /\.ya?ml$/i.test(file) ? yaml.safeLoad(contents) : JSON.parse(contents);
+      return swaggerimport.importSwagger(spec,path.basename(file,path.extname(file)),writer);
+   });
+};
+
+/*
+ * Import the file 'file' with the function 'importer', which adds the APIs of the file's contents to an ApiWriter
+ * and returns their number, and write the draft API definition files to the output directory.
+ * Files which already exist in the output directory are not overwritten.  Return an exit code.
+ */
+Hapi.prototype.importApis = function(cmd,file,importer) {
+   var self = this;
+   var writer = new apiwriter.ApiWriter(self.outDir,cmd + ' ' + path.basename(file));
+   try {
+      var count = importer(fs.readFileSync(file,'utf8'),writer);
+      if (log.isInfoEnabled()) log.info("imported %d APIs from %s",count,file);
+      var result = writer.write();
+      result.written.forEach(function(written) {
+         if (log.isInfoEnabled()) log.info("created %s",written);
+      });
+      result.skipped.forEach(function(skipped) {
+         log.warn("skipped %s, which already exists",skipped);
+      });
+   } catch (err) {
+      self.errors.push(util.format("failure importing %s: %s",file,log.isTraceEnabled() ? err.stack : err.message));
+   }
+   if (self.errors.length > 0) {
+      self.logErrors("Import Errors");
+      return EXIT_CODES.importErrors;
    }
+   return EXIT_CODES.ok;
+};
+
+// Finish a run by writing reports and logging a summary of the results
+Hapi.prototype.endRun = function(cb) {
+   var self = this;
+   self.writeReports();
+   self.writeCassettes();
+   var summary = self.results.getSummary();
+   log.addTimeStamp = false;
+   log.info("\nEND TESTS: passed=%d, failed=%d, skipped=%d",summary.passed,summary.failed,summary.skipped);
    self.logErrors("Runtime Errors");
+   if (self.errors.length > 0) return cb(exitError("runtime errors",EXIT_CODES.runErrors),summary);
+   if (summary.failed > 0) return cb(exitError("test failures",EXIT_CODES.testFailures),summary);
+   return cb(null,summary);
+};
+
+// Write the results of the last run in each of the report formats to the output directory
+Hapi.prototype.writeReports = function() {
+   var self = this;
+   self.reportFormats.forEach(function(format) {
+      try {
+         var reporter = reporters.getReporter(format);
+         var file = path.join(self.outDir,reporter.getFileName());
+         fs.writeFileSync(file,reporter.generate(self.results));
+         if (log.isInfoEnabled()) log.info("created %s",file);
+      } catch (err) {
+         var apiErr = log.isTraceEnabled() ? err.stack : err;
+         self.errors.push(util.format("failure writing %s report: %s",format,apiErr));
+      }
+   });
+};
+
+// Write the HTTP traffic of the last run to the cassette directory if it was recorded
+Hapi.prototype.writeCassettes = function() {
+   var self = this;
+   if (!self.cassette || !self.cassette.isRecording()) return;
+   try {
+      self.cassette.save().forEach(function(file) {
+         if (log.isInfoEnabled()) log.info("created %s",file);
+      });
+   } catch (err) {
+      var apiErr = log.isTraceEnabled() ? err.stack : err;
+      self.errors.push(util.format("failure writing cassettes: %s",apiErr));
+   }
 };
 
 Hapi.prototype.findApi = function(name,where) {
@@ -309,6 +1128,36 @@ Hapi.prototype.setTimeout = function(timeout) {
    this.timeout = timeout;
 };
 
+// Get the maximum number of requests which may be outstanding at once across the whole test tree
+Hapi.prototype.getConcurrency = function() {
+   return this.concurrency;
+};
+
+// Set the maximum number of outstanding requests; 0 means there is no limit
+Hapi.prototype.setConcurrency = function(arg) {
+   var concurrency = strToInt(arg);
+   if (!isInteger(concurrency) || concurrency < 0) {
+      throw Error(util.format("invalid concurrency: '%s'; must be a non-negative integer",arg));
+   }
+   this.concurrency = concurrency;
+   this.requestQueue = concurrency ? async.queue(function(task,cb) { task(cb); },concurrency) : null;
+};
+
+// Send an HTTP request, first waiting for a free slot if the number of concurrent requests is limited.
+// A slot is only held while the request is outstanding, so contexts waiting in a serial queue or for
+// their children do not hold a slot.  When traffic is recorded or replayed, the cassette sends the request.
+Hapi.prototype.sendRequest = function(opts,cb) {
+   var self = this;
+   var send = self.cassette ? self.cassette.send.bind(self.cassette) : request;
+   if (!self.requestQueue) return send(opts,cb);
+   self.requestQueue.push(function(done) {
+      send(opts,function(err,resp,body) {
+         done();
+         cb(err,resp,body);
+      });
+   });
+};
+
 Hapi.prototype.getApiProducers = function(varName) {
    var self = this;
    var apis = [];
@@ -333,7 +1182,7 @@ Hapi.prototype.logErrors = function(prefix) {
    var self = this;
    var errors = self.getErrors();
    if (errors.length > 0) {
-      console.log("%s: %s",prefix,pretty(errors));
+      console.log("%s: %s",prefix,log.redact(pretty(errors)));
    }
 };
 
@@ -346,6 +1195,7 @@ function VirtualHost(hapi,info,vars) {
    this.info = info;
    this.vars = vars;
    this.mapis = [];
+   this.auth = info.auth ? new OAuth2Client(hapi,this,info.auth) : null;
 }
 
 VirtualHost.prototype.getName = function() {
@@ -356,25 +1206,33 @@ VirtualHost.prototype.getHostVariable = function() {
    return this.info.host_variable;
 };
 
-VirtualHost.prototype.gendoc = function() {
+// Generate the documentation for this virtual host in 'format' (one of DOC_FORMATS)
+VirtualHost.prototype.gendoc = function(format) {
    var self = this;
    var errors = self.hapi.errors;
    if (log.isDebugEnabled()) log.debug("generating doc for vhost %s ...",self.getName());
    var doc = {};
    var swagger = self.info.swagger;
    if (!swagger) throw Error(util.format("no swagger info found for virtual host %s",self.info.name));
-   for (var key in swagger) {
-      doc[key] = swagger[key];
+   if (format === 'openapi3') {
+      doc = self.getOpenApi3Header();
+   } else {
+      for (var key in swagger) {
+         doc[key] = swagger[key];
+      }
    }
    doc.paths = {};
-   if (SCHEMA_REFS) {
+   if (format === 'openapi3') {
+      doc.components = doc.components || {};
+      doc.components.schemas = {};
+   } else if (SCHEMA_REFS) {
       doc.definitions = {};
    }
    var state = {};
    for (var i = 0; i < self.mapis.length; i++) {
       var mapi = self.mapis[i];
       try {
-         if (!mapi.private) mapi.addDoc(doc,state);
+         if (!mapi.private) mapi.addDoc(doc,state,format);
       } catch(err) {
          var errStr = log.isTraceEnabled() ? err.stack : err.toString();
          errStr = util.format("Failure in %s: %s",mapi.name,errStr);
@@ -387,6 +1245,212 @@ VirtualHost.prototype.gendoc = function() {
    return doc;
 };
 
+// Get the descriptions of the variables used in the requests of the documented APIs of this virtual host
+VirtualHost.prototype.getDocVariables = function() {
+   var self = this;
+   var result = {};
+   self.mapis.forEach(function(mapi) {
+      if (mapi.private) return;
+      getVarNames(mapi.request).forEach(function(name) {
+         var ref = self.vars[name];
+         if (ref && ref.description) result[name] = ref.description;
+      });
+   });
+   return result;
+};
+
+// Get the media types which the APIs of this virtual host consume or produce
+// from the 'consumes' or 'produces' field of the swagger header
+VirtualHost.prototype.getMediaTypes = function(field) {
+   var types = this.info.swagger[field];
+   return (types && types.length > 0) ? types : [APP_JSON];
+};
+
+/*
+ * Convert the swagger 2.0 header of this virtual host to an OpenAPI 3.0 header.
+ * The 'servers' section is built from the value of the host variable, unless the
+ * swagger header has a 'host' field.
+ */
+VirtualHost.prototype.getOpenApi3Header = function() {
+   var self = this;
+   var swagger = self.info.swagger;
+   var doc = { openapi: OPENAPI_VERSION };
+   forAll(swagger,function(key,val) {
+      switch(key) {
+      case 'swagger': case 'host': case 'basePath': case 'schemes':
+      case 'consumes': case 'produces': case 'definitions':
+      case 'parameters': case 'responses': case 'securityDefinitions':
+         break;
+      default:
+         doc[key] = clone(val);
+      }
+   });
+   doc.servers = self.getOpenApi3Servers();
+   if (swagger.securityDefinitions) {
+      doc.components = { securitySchemes: {} };
+      forAll(swagger.securityDefinitions,function(name,def) {
+         doc.components.securitySchemes[name] = toOpenApi3SecurityScheme(def);
+      });
+   }
+   return doc;
+};
+
+VirtualHost.prototype.getOpenApi3Servers = function() {
+   var self = this;
+   var swagger = self.info.swagger;
+   var basePath = swagger.basePath || '';
+   if (swagger.host) {
+      var schemes = swagger.schemes || ['https'];
+      return schemes.map(function(scheme) {
+         return { url: scheme + '://' + swagger.host + basePath };
+      });
+   }
+   var hostVar = self.getHostVariable();
+   var hostVal = self.hapi.vars[hostVar];
+   var hostDef = self.vars[hostVar] || {};
+   if (isString(hostVal) && getVarNames(hostVal).length === 0) {
+      return [{ url: hostVal + basePath, description: hostDef.description }];
+   }
+   // The value is user-specific and not known, so describe it as a server variable
+   var server = { url: '{' + hostVar + '}' + basePath, variables: {} };
+   server.variables[hostVar] = { default: '', description: hostDef.description };
+   return [server];
+};
+
+/*
+ * OAuth2Client acquires, caches and renews the bearer tokens of the 'auth' section of a virtual host.
+ * The fields of the section may reference variables, so a token is cached for each distinct
+ * token request; for example, each user of a password grant has a token of their own.
+ */
+function OAuth2Client(hapi,vhost,info) {
+   var grant = info.grant_type || 'client_credentials';
+   if (!info.token_url) {
+      throw Error(util.format("no 'token_url' in the auth section of virtual host %s",vhost.getName()));
+   }
+   if (!AUTH_GRANTS.includes(grant)) {
+      throw Error(util.format("invalid grant_type '%s' in the auth section of virtual host %s; must be one of %j",
+                  grant,vhost.getName(),AUTH_GRANTS));
+   }
+   if (grant === 'password' && !(info.username && info.password)) {
+      throw Error(util.format("the password grant of virtual host %s requires 'username' and 'password'",vhost.getName()));
+   }
+   if (grant === 'refresh_token' && !info.refresh_token) {
+      throw Error(util.format("the refresh_token grant of virtual host %s requires 'refresh_token'",vhost.getName()));
+   }
+   this.hapi = hapi;
+   this.info = info;
+   this.grant = grant;
+   this.margin = info.hasOwnProperty('expiry_margin') ? info.expiry_margin : AUTH_EXPIRY_MARGIN;
+   this.tokens = {};
+   this.waiting = {};
+}
+
+// Get the names of the variables referenced by the auth section
+OAuth2Client.prototype.getVarNames = function() {
+   return getVarNames(this.info);
+};
+
+// Get the token request parameters with the variables in 'vars' replaced by their values
+OAuth2Client.prototype.getParams = function(vars) {
+   return resolve(common.pick(this.info,['token_url','client_id','client_secret','client_auth',
+                                         'username','password','refresh_token','scope']),vars,this.hapi.secretVars);
+};
+
+OAuth2Client.prototype.getKey = function(params) {
+   return JSON.stringify(params);
+};
+
+// Get the value of the authorization header for 'vars', or null if there is no unexpired token
+OAuth2Client.prototype.getAuthorization = function(vars) {
+   var token = this.tokens[this.getKey(this.getParams(vars))];
+   if (!token || token.expires <= Date.now()) return null;
+   return 'Bearer ' + token.access_token;
+};
+
+/*
+ * Make sure there is an unexpired token for 'vars', then call 'cb'.
+ * An expired token is renewed with its refresh token if it has one; otherwise, or if the
+ * refresh fails, a new token is requested with the configured grant.
+ * Concurrent callers waiting for the same token share a single token request.
+ */
+OAuth2Client.prototype.authorize = function(vars,cb) {
+   var self = this;
+   var params = self.getParams(vars);
+   var key = self.getKey(params);
+   var token = self.tokens[key];
+   if (token && token.expires > Date.now()) return cb();
+   if (self.waiting[key]) return self.waiting[key].push(cb);
+   self.waiting[key] = [cb];
+   function done(err,newToken) {
+      if (newToken) self.tokens[key] = newToken;
+      var callbacks = self.waiting[key];
+      delete self.waiting[key];
+      callbacks.forEach(function(callback) {
+         callback(err);
+      });
+   }
+   if (!token || !token.refresh_token) return self.requestToken(params,self.grant,params.refresh_token,done);
+   self.requestToken(params,'refresh_token',token.refresh_token,function(err,newToken) {
+      if (!err || self.grant === 'refresh_token') return done(err,newToken);
+      if (log.isDebugEnabled()) log.debug("refreshing token failed, requesting a new one: %s",err.toString());
+      self.requestToken(params,self.grant,params.refresh_token,done);
+   });
+};
+
+// Expire the token for 'vars' if 'authorization' is still its authorization header, so that the next
+// call to authorize renews it.  This is called when a request with the token was rejected with a 401.
+OAuth2Client.prototype.invalidate = function(vars,authorization) {
+   var token = this.tokens[this.getKey(this.getParams(vars))];
+   if (token && 'Bearer ' + token.access_token === authorization) token.expires = 0;
+};
+
+OAuth2Client.prototype.requestToken = function(params,grant,refreshToken,cb) {
+   var self = this;
+   var form = { grant_type: grant };
+   if (grant === 'password') {
+      form.username = params.username;
+      form.password = params.password;
+   } else if (grant === 'refresh_token') {
+      form.refresh_token = refreshToken;
+   }
+   if (params.scope) form.scope = isArray(params.scope) ? params.scope.join(' ') : params.scope;
+   var opts = {
+      method: 'POST',
+      url: params.token_url,
+      headers: { accept: APP_JSON },
+      form: form,
+      timeout: self.hapi.getTimeout()
+   };
+   // The client authenticates with basic auth unless 'client_auth' is 'body'
+   if (params.client_auth === 'body' || !params.client_secret) {
+      if (params.client_id) form.client_id = params.client_id;
+      if (params.client_secret) form.client_secret = params.client_secret;
+   } else {
+      opts.auth = { user: params.client_id, pass: params.client_secret };
+   }
+   if (log.isDebugEnabled()) log.debug("requesting %s token from %s",grant,params.token_url);
+   self.hapi.sendRequest(opts,function(err,resp,body) {
+      if (err) return cb(Error(util.format("%s token request to %s failed: %s",grant,params.token_url,err)));
+      var token;
+      try {
+         token = JSON.parse(body);
+      } catch (parseErr) {
+         token = {};
+      }
+      if (resp.statusCode !== 200 || !token.access_token) {
+         return cb(Error(util.format("%s token request to %s failed: status=%d, body=%s",
+                                     grant,params.token_url,resp.statusCode,body)));
+      }
+      var expiresIn = strToInt(token.expires_in);
+      // Renew the token 'margin' seconds before it expires, but not before half of its lifetime
+      token.expires = isInteger(expiresIn) ? Date.now() + Math.max(expiresIn - self.margin, expiresIn / 2) * 1000 : Infinity;
+      if (!token.refresh_token && grant === 'refresh_token') token.refresh_token = refreshToken;
+      log.addSecret([token.access_token,token.refresh_token]);
+      if (log.isDebugEnabled()) log.debug("received %s token from %s, expires_in=%s",grant,params.token_url,token.expires_in);
+      cb(null,token);
+   });
+};
+
 /**
  * There are two flavors of Api objects:
  * 1) MultiResponseApi - This is created initially from input and is all that is needed to generate documentation
@@ -399,6 +1463,7 @@ function MultiResponseApi(hapi, info) {
    var self = this;
    self.hapi = hapi;
    self.name = info.name;
+   self.file = info.file;
    self.private = info.private;
    self.vars = info.vars;
    self.varValues = getVarValues(info.vars);
@@ -407,6 +1472,8 @@ function MultiResponseApi(hapi, info) {
    if (!info.request.path) throw Error("no 'request.path' field found");
    if (!info.responses) throw Error("no 'responses' field found");
    if (!info.tags) throw Error("no 'tags' field found");
+   var bodyFields = ['body','form','multipart'].filter(function(field) { return info.request[field]; });
+   if (bodyFields.length > 1) throw Error(util.format("only one of the %j request fields may be set",bodyFields));
    self.description = info.description;
    self.tags = info.tags;
    self.request = info.request;
@@ -451,9 +1518,10 @@ MultiResponseApi.prototype.matches = function(names) {
    return false;
 };
 
-MultiResponseApi.prototype.addDoc = function(doc,state) {
+MultiResponseApi.prototype.addDoc = function(doc,state,format) {
    var self = this;
-   var defs = doc.definitions;
+   var openapi3 = format === 'openapi3';
+   var defs = openapi3 ? doc.components.schemas : doc.definitions;
    var url = self.getUrl();
    var path = url.pathname;
    path = normalizePathForDoc(path);
@@ -473,17 +1541,118 @@ MultiResponseApi.prototype.addDoc = function(doc,state) {
    state[method] = self;
    doc.tags = self.tags;
    doc.description = self.description;
-   doc.parameters = self.getParameters(defs);
+   if (openapi3) {
+      self.addOpenApi3Parameters(doc,defs);
+   } else {
+      doc.parameters = self.getParameters(defs);
+      if (self.request.form) doc.consumes = [FORM_URLENCODED];
+      if (self.request.multipart) doc.consumes = [MULTIPART_FORM_DATA];
+   }
    if (!doc.responses) doc.responses = {};
    if (doc.responses[self.status]) throw Error("multiple APIs defined for "+self.name);
    doc = doc.responses;
    for (var scode in self.responses) {
       var response = self.responses[scode];
       doc[scode] = { description: response.description };
-      doc[scode].schema = getSchemaRef(getBodySchema(response),defs);
+      if (response.headers) {
+         doc[scode].headers = self.getResponseHeadersDoc(response.headers,openapi3);
+      }
+      if (openapi3) {
+         var schema = getBodySchema(response);
+         if (schema) {
+            var ref = getComponentRef(toOpenApi3Schema(schema),defs,self.getComponentName(scode));
+            doc[scode].content = getOpenApi3Content(self.vhost.getMediaTypes('produces'),ref);
+         } else if (response.content_type) {
+            doc[scode].content = getOpenApi3Content([response.content_type],getNonJsonBodySchema(response));
+         }
+      } else if (response.content_type && !getBodySchema(response)) {
+         doc[scode].schema = getNonJsonBodySchema(response);
+      } else {
+         doc[scode].schema = getSchemaRef(getBodySchema(response),defs);
+      }
    }
 };
 
+// Get the doc of the headers of a response
+MultiResponseApi.prototype.getResponseHeadersDoc = function(headers,openapi3) {
+   var self = this;
+   var result = {};
+   forAll(headers,function(name,spec) {
+      spec = normalizeHeaderSpec(name,spec);
+      var description = spec.description;
+      if (!description && isString(spec.value)) {
+         // Describe the header by the variable which is its value
+         var varNames = getVarNames(spec.value);
+         if (varNames.length === 1 && spec.value.trim() === '$' + varNames[0]) {
+            var ref = self.vars[varNames[0]];
+            if (!ref) throw Error(util.format("undefined variable '%s' is referenced in %s",varNames[0],self.name));
+            description = ref.description;
+         }
+      }
+      if (openapi3) {
+         result[name] = { description: description, required: spec.required, schema: { type: 'string' } };
+         if (spec.pattern) result[name].schema.pattern = spec.pattern.source;
+      } else {
+         result[name] = { type: 'string', description: description };
+         if (spec.pattern) result[name].pattern = spec.pattern.source;
+      }
+   });
+   return result;
+};
+
+// Add the parameters and request body of this API to an OpenAPI 3.0 operation
+MultiResponseApi.prototype.addOpenApi3Parameters = function(op,schemas) {
+   var self = this;
+   var parms = self.getParameters(schemas);
+   var form;
+   op.parameters = [];
+   parms.forEach(function(parm) {
+      if (parm.in === 'formData') {
+         // Form fields are properties of the schema of the request body
+         form = form || { type: 'object', properties: {}, required: [] };
+         form.properties[parm.name] = parm.type === 'file' ?
+            { type: 'string', format: 'binary', description: parm.description } :
+            { type: parm.type, description: parm.description };
+         form.required.push(parm.name);
+      } else if (parm.in === 'body') {
+         var ref = getComponentRef(toOpenApi3Schema(parm.schema),schemas,self.getComponentName('request'));
+         op.requestBody = {
+            description: parm.description,
+            required: parm.required,
+            content: getOpenApi3Content(self.getRequestMediaTypes(),ref)
+         };
+      } else {
+         op.parameters.push({
+            name: parm.name,
+            in: parm.in,
+            description: parm.description,
+            required: parm.required,
+            schema: { type: parm.type }
+         });
+      }
+   });
+   if (form) {
+      op.requestBody = {
+         required: true,
+         content: getOpenApi3Content([self.request.multipart ? MULTIPART_FORM_DATA : FORM_URLENCODED],form)
+      };
+   }
+};
+
+// Get the media types of the request body, which may be set by the 'content-type' request header
+MultiResponseApi.prototype.getRequestMediaTypes = function() {
+   var hdrs = this.request.headers || {};
+   for (var name in hdrs) {
+      if (name.toLowerCase() === 'content-type' && getVarNames(hdrs[name]).length === 0) return [hdrs[name]];
+   }
+   return this.vhost.getMediaTypes('consumes');
+};
+
+// Get the name of an OpenAPI 3.0 component schema for this API
+MultiResponseApi.prototype.getComponentName = function(suffix) {
+   return (this.name + '.' + suffix).replace(/[^a-zA-Z0-9\.\-_]/g,'.');
+};
+
 
 /*
  * Get parameters for an API used for doc generation
@@ -514,8 +1683,12 @@ MultiResponseApi.prototype.getParameters = function(defs) {
    getVarNames(req.auth).forEach(function(name) {
       parms.push(self.getDocParm('Authorization',name,'header',true));
    });
+   // Add form parameters
+   forAll(req.form || req.multipart,function(name,val) {
+      parms.push(self.getFormDocParm(name,val));
+   });
    // Add body parameter
-   var bodySchema = getSchemaRef(getBodySchema(req,self.vars),defs);
+   var bodySchema = getSchemaRef(getBodySchema(req,self.vars,true),defs);
    if (bodySchema) {
       parms.push({
          name: 'body',
@@ -528,6 +1701,35 @@ MultiResponseApi.prototype.getParameters = function(defs) {
    return parms;
 };
 
+// Get the doc for a field of a 'form' or 'multipart' request
+MultiResponseApi.prototype.getFormDocParm = function(name,val) {
+   var self = this;
+   if (isFilePart(val)) {
+      return {
+         name: name,
+         in: 'formData',
+         description: val.description || util.format("The %s file",name),
+         required: true,
+         type: 'file'
+      };
+   }
+   var varNames = getVarNames(val);
+   if (varNames.length === 1 && isString(val) && val.trim() === '$' + varNames[0]) {
+      return self.getDocParm(name,varNames[0],'formData',true);
+   }
+   // Describe a constant value, or a value built from variables, by the value itself
+   var description = resolveStr(String(val),function(varName) {
+      return self.getDocParm(name,varName,'formData',true).description;
+   });
+   return {
+      name: name,
+      in: 'formData',
+      description: description,
+      required: true,
+      type: 'string'
+   };
+};
+
 MultiResponseApi.prototype.getDocParm = function(parmName,varName,type,required) {
    var ref = this.vars[varName];
    if (!ref) {
@@ -552,61 +1754,69 @@ MultiResponseApi.prototype.getDocParm = function(parmName,varName,type,required)
  */
 MultiResponseApi.prototype.getApis = function() {
    var self = this;
-   var test;
    var apis = [];
    for (var scode in self.responses) {
-      var req = self.request;
-      var res = self.responses[scode];
-      var name = self.name + '-' + scode;
-      // There is typically a single response w/o a 'tests' for the successful response case.
-      // All other responses will typically have a 'tests' section defining replacement variable
-      // values used to generate an error.
-      var testList = [];
-      var tests = res.tests;
-      if (tests) {
-         if (!isArray(tests)) tests = [tests];
-         for (var i = 0; i < tests.length; i++) {
-            test = tests[i];
-            test.name = test.name || name;
-            test.request = getTestReq(test.request,test.vars,req);
-            test.onBeforeRun = self.onBeforeRun;
-            test.onAfterRun = self.onAfterRun;
-            test.before = test.before || self.before;
-            test.afterApi = test.afterApi || self.afterApi;
-            test.afterAll = test.afterAll || self.afterAll;
-            test.consumes = (self.consumes || []).dup();
-           // test.produces = (self.produces || []).dup();
-            testList.push(test);
-         }
+      apis = apis.concat(self.getResponseApis(scode));
+   }
+   if (log.isDebugEnabled()) log.debug("getApis name=%s",self.name);
+   return apis;
+};
+
+// Create the API objects for the response with status code 'scode'
+MultiResponseApi.prototype.getResponseApis = function(scode) {
+   var self = this;
+   var test;
+   var apis = [];
+   var req = self.request;
+   var res = self.responses[scode];
+   var name = self.name + '-' + scode;
+   // There is typically a single response w/o a 'tests' for the successful response case.
+   // All other responses will typically have a 'tests' section defining replacement variable
+   // values used to generate an error.
+   var testList = [];
+   var tests = res.tests;
+   if (tests) {
+      if (!isArray(tests)) tests = [tests];
+      for (var i = 0; i < tests.length; i++) {
+         test = tests[i];
+         test.name = test.name || name;
+         test.request = getTestReq(test.request,test.vars,req);
+         test.onBeforeRun = self.onBeforeRun;
+         test.onAfterRun = self.onAfterRun;
+         test.before = test.before || self.before;
+         test.afterApi = test.afterApi || self.afterApi;
+         test.afterAll = test.afterAll || self.afterAll;
+         test.consumes = (self.consumes || []).dup();
+        // test.produces = (self.produces || []).dup();
+         testList.push(test);
       }
-      if (testList.length === 0) {
-         var tmpReq = getTestReq(res.request,res.vars,req);
-         testList.push({name:name,request:tmpReq,response:res});
-      }
-      // For each of these requests, get all possible compile time values for the variables
-      // and then generate a request for each combination of these values.
-      // For example, if the "$authHdr" and "$grantType" variables are both used
-      // where "$authHdr" can be "$basicAuthHdr" or "$tokenAuthHdr" and "$grantType" can be
-      // one of "password" or "client_credentials", the total number of combinations is 4
-      for (var j = 0; j < testList.length; j++) {
-         test = testList[j];
-         test.onBeforeRun = test.onBeforeRun || self.onBeforeRun;
-         test.onAfterRun = test.onAfterRun || self.onAfterRun;
-         self.setHook(test,'before');
-         self.setHook(test,'afterApi');
-         self.setHook(test,'afterAll');
-         test.consumes = test.consumes || (self.consumes || []).dup();
-         test.produces = test.produces || (self.produces || []).dup();
-         var requestBodyVars = getVarNames(test.request.body);
-         var combinations = getVarCombinations(self.varValues,getVarNames(test.request));
-         for (var k = 0; k < combinations.length; k++) {
-            var req2 = getObjectWithVarsReplaced(test.request,combinations[k]);
-            var name2 = k ? test.name + '-' + k : test.name;
-            apis.push(new Api(self,name2,req2,scode,test,requestBodyVars));
-         }
+   }
+   if (testList.length === 0) {
+      var tmpReq = getTestReq(res.request,res.vars,req);
+      testList.push({name:name,request:tmpReq,response:res});
+   }
+   // For each of these requests, get all possible compile time values for the variables
+   // and then generate a request for each combination of these values.
+   // For example, if the "$authHdr" and "$grantType" variables are both used
+   // where "$authHdr" can be "$basicAuthHdr" or "$tokenAuthHdr" and "$grantType" can be
+   // one of "password" or "client_credentials", the total number of combinations is 4
+   for (var j = 0; j < testList.length; j++) {
+      test = testList[j];
+      test.onBeforeRun = test.onBeforeRun || self.onBeforeRun;
+      test.onAfterRun = test.onAfterRun || self.onAfterRun;
+      self.setHook(test,'before');
+      self.setHook(test,'afterApi');
+      self.setHook(test,'afterAll');
+      test.consumes = test.consumes || (self.consumes || []).dup();
+      test.produces = test.produces || (self.produces || []).dup();
+      var requestBodyVars = getVarNames([test.request.body,test.request.form,test.request.multipart]);
+      var combinations = getVarCombinations(self.varValues,getVarNames(test.request));
+      for (var k = 0; k < combinations.length; k++) {
+         var req2 = getObjectWithVarsReplaced(test.request,combinations[k]);
+         var name2 = k ? test.name + '-' + k : test.name;
+         apis.push(new Api(self,name2,req2,scode,test,requestBodyVars));
       }
    }
-   if (log.isDebugEnabled()) log.debug("getApis name=%s",self.name);
    return apis;
 };
 
@@ -654,11 +1864,44 @@ function Api(mapi,name,req,scode,test,requestBodyVars) {
    self.groups = mapi.groups;
    self.groups.push(self.name);
    self.consumes = common.union(getVarNames(self.request),(test.consumes || []));
+   // A variable computed by a transform at run time also consumes the variables of its input
+   for (var i = 0; i < self.consumes.length; i++) {
+      var val = mapi.varValues[self.consumes[i]];
+      if (isTransform(val)) self.consumes = common.union(self.consumes,getVarNames(getTransformInput(val)));
+   }
    self.produces = common.uniq(test.produces || []);
    self.deletes = [];
    self.actions = [];
    self.scanActions(self.response.body,"");
    self.scanActions(test);
+   // Variables referenced by the expected values of response headers must also be set, unless produced by this API
+   forAll(self.response.headers,function(name,spec) {
+      getVarNames(normalizeHeaderSpec(name,spec).value).forEach(function(varName) {
+         if (!self.produces.includes(varName)) self.consumes.addUniq(varName);
+      });
+   });
+   // As must those of the xpath expressions and expected values of an XML, text or binary response body
+   var xml = self.response.xml;
+   var text = self.response.text;
+   getVarNames([xml && Object.keys(xml.xpath || {}),xml && xml.xpath,text && text.equals,self.response.binary]).forEach(function(varName) {
+      if (!self.produces.includes(varName)) self.consumes.addUniq(varName);
+   });
+   // So must the variables of the token request if the request is authorized by the virtual host
+   if (self.usesAuth(self.request)) {
+      self.vhost.auth.getVarNames().forEach(function(varName) {
+         if (!self.produces.includes(varName)) self.consumes.addUniq(varName);
+      });
+   }
+   // The rules for sending the request again, which a test may override
+   self.retry = normalizeRetry(test.retry || self.response.retry,self.name);
+   self.until = normalizeUntil(test.until || self.response.until,self.name);
+   // As must those of the path expression and expected value of the 'until' condition
+   if (self.until) {
+      getVarNames([isQueryPath(self.until.path) && self.until.path,self.until.equals]).forEach(function(varName) {
+         if (!self.produces.includes(varName)) self.consumes.addUniq(varName);
+      });
+   }
+   self.pagination = normalizePagination(test.pagination || self.response.pagination,self.name,self.response);
    self.onBeforeRun = test.onBeforeRun;
    self.onAfterRun = test.onAfterRun;
    self.before = test.before;
@@ -695,16 +1938,54 @@ Api.prototype.getOpts = function(request,vars) {
       request.url = '$' + self.getVirtualHost().getHostVariable() + request.path;
       delete request.path;
    }
-   var opts = resolve(request,vars);
+   var opts = resolve(request,vars,self.hapi.secretVars);
    opts.method = opts.method || 'GET';
    opts.timeout = opts.timeout || self.hapi.getTimeout();
    opts.headers = opts.headers || {};
    opts.headers.accept = opts.headers.accept || APP_JSON;
    opts.json = isObject(opts.body);
-   opts.jar = self.cookieJar;
+   if (self.usesAuth(request)) {
+      var authorization = self.getVirtualHost().auth.getAuthorization(vars);
+      if (authorization) opts.headers.authorization = authorization;
+   }
+   delete opts.no_auth;
+   if (opts.multipart) {
+      // The request module's 'multipart' option is for multipart/related bodies, so convert to 'formData'
+      opts.formData = self.getFormData(opts.multipart);
+      delete opts.multipart;
+   }
    return opts;
 };
 
+// Return true if the bearer token of the virtual host's 'auth' section is to be sent with 'request';
+// i.e. unless the request sets its own authorization header or 'auth' option, or has a 'no_auth' field
+Api.prototype.usesAuth = function(request) {
+   return !!this.getVirtualHost().auth && !request.no_auth && !request.auth &&
+          !getHeaderName(request.headers,'authorization');
+};
+
+/*
+ * Convert the resolved 'multipart' field of a request to the request module's 'formData' format.
+ * A file part is an object with a 'file' field, which is the path of the file relative to the input
+ * directory, and optional 'filename' and 'content_type' fields.
+ */
+Api.prototype.getFormData = function(multipart) {
+   var self = this;
+   var formData = {};
+   forAll(multipart,function(name,val) {
+      if (isFilePart(val)) {
+         var file = path.resolve(self.hapi.getInputDir(),val.file);
+         if (!isFile(file)) throw Error(util.format("file '%s' for multipart field '%s' was not found",file,name));
+         var options = { filename: val.filename || path.basename(file) };
+         if (val.content_type) options.contentType = val.content_type;
+         formData[name] = { value: fs.createReadStream(file), options: options };
+      } else {
+         formData[name] = isString(val) ? val : JSON.stringify(val);
+      }
+   });
+   return formData;
+};
+
 // Throw an error if a field is not defined
 Api.prototype.actionCheck = function(action,name,field) {
    if (isArray(field)) {
@@ -743,7 +2024,7 @@ Api.prototype.scanActions = function(toScan,path) {
             self.actionCheck(toScan,'var_new','delete');
             if (self.var_new) throw Error(util.format("%s contains multiple 'var_new' are not allowed in a single HTTP API",self.name));
             self.var_new = toScan.var_new;
-            if (!self.var_new.path) {
+            if (!hasVarSource(self.var_new)) {
                if (!path || path.length === 0) throw Error(util.format("%s contains 'var_new' without a path",self.name));
                self.var_new.path = path;
             }
@@ -764,7 +2045,7 @@ Api.prototype.scanActions = function(toScan,path) {
             }
             break;
          case 'var_set':
-            if (!toScan.var_set.path && !toScan.var_set.fcn) {
+            if (!hasVarSource(toScan.var_set)) {
                if (!path || path.length === 0) {
                   throw Error(util.format("%s contains a 'var_set' without a path: %j",self.name,toScan.var_set));
                }
@@ -777,6 +2058,10 @@ Api.prototype.scanActions = function(toScan,path) {
                   toScan.var_set.path = path;
                }
             }
+            // The variables of a path or xpath expression must be set before the response is received, unless set by this API
+            getVarNames([isQueryPath(toScan.var_set.path) && toScan.var_set.path,toScan.var_set.xpath]).forEach(function(varName) {
+               if (!self.produces.includes(varName)) self.consumes.addUniq(varName);
+            });
             self.produces.push(toScan.var_set.name);
             self.actions.push(toScan);
             break;
@@ -788,8 +2073,10 @@ Api.prototype.scanActions = function(toScan,path) {
             self.actions.push(toScan);
             break;
          case 'var_delete':
-            var delName = toScan.var_delete;
-            toScan.var_delete = { name: delName };
+            // The name of the variable may be given by itself or in a 'name' field
+            if (isString(toScan.var_delete)) toScan.var_delete = { name: toScan.var_delete };
+            self.actionCheck(toScan,'var_delete','name');
+            var delName = toScan.var_delete.name;
             self.deletes.push(delName);
             self.hapi.varDeleteApis[delName] = self;
             self.actions.push(toScan);
@@ -1083,6 +2370,8 @@ function RunContext(vars,node,index,length,parent,ignoreFailures) {
       this.ignoreBody = this.api.response.ignore_body;
    }
    this.hapi = node.hapi;
+   // The cookies are those of the run, or of the iteration of the load test, which the test belongs to
+   this.cookieJar = parent ? parent.cookieJar : node.hapi.cookieJar;
    this.indent = ""; //node.indent;
    this.id = index > 0 ? node.id + '-' + index : node.id;
 }
@@ -1095,7 +2384,13 @@ RunContext.prototype.getOpts = function(api) {
       var vars = common.pick(self.vars, common.union(api.consumes, api.produces));
       log.debug("resolving request variables for %s: request=%j\n variables=%s",self.name,api.request,pretty(vars));
    }
-   return api.getOpts(api.request,self.vars);
+   var opts = api.getOpts(api.request,self.vars);
+   // Accept the documented type of response body, unless the request says otherwise
+   var res = api.response;
+   if (res.content_type && !getHeaderName(api.request.headers,'accept')) opts.headers.accept = res.content_type;
+   // Return binary response bodies as a Buffer
+   if (res.binary) opts.encoding = null;
+   return opts;
 };
 
 RunContext.prototype.run = function(cb) {
@@ -1126,6 +2421,66 @@ RunContext.prototype.run = function(cb) {
    }
 };
 
+/*
+ * Print the request which 'run' would send for this context, and then those of the contexts below it in the order in
+ * which 'run' sends them, without sending any requests or running any hooks.  Each variable which is not known until
+ * run time, such as one produced by another test, is replaced by a placeholder.  Return the number of errors.
+ */
+RunContext.prototype.dryRun = function() {
+   var self = this;
+   var node = self.node;
+   if (!self.api) return self.dryRunChildren();
+   setPlaceholders(self.vars,self.api.consumes,[]);
+   var errors = 0;
+   var varsArray = getVarCombinations(self.vars,self.api.consumes.dup());
+   varsArray.forEach(function(vars,index) {
+      var ctx = varsArray.length > 1 ? new RunContext(vars,node,index,varsArray.length,self.parent) : self;
+      if (node.preRun) errors += new RunContext(ctx.vars,node.preRun,0,1,ctx,true).dryRun();
+      errors += ctx.printRequest();
+      errors += ctx.dryRunChildren();
+      if (node.postRun) errors += new RunContext(ctx.vars,node.postRun,0,1,ctx).dryRun();
+   });
+   return errors;
+};
+
+RunContext.prototype.dryRunChildren = function() {
+   var self = this;
+   var errors = 0;
+   self.node.children.forEach(function(node) {
+      errors += new RunContext(clone(self.vars),node,0,1,self).dryRun();
+   });
+   return errors;
+};
+
+// Print the resolved request of this context and the values of the variables it consumes for a dry run.
+// Return 1 if the request could not be resolved, or 0.
+RunContext.prototype.printRequest = function() {
+   var self = this;
+   var api = self.api;
+   var opts;
+   try {
+      opts = self.getOpts();
+   } catch (err) {
+      log.error("%s) %s: %s",self.id,self.name,err.message);
+      return 1;
+   }
+   if (api.usesAuth(api.request) && !opts.headers.authorization) opts.headers.authorization = 'Bearer <token>';
+   log.info("%s) %s: expects %s",self.id,self.name,api.response.status);
+   log.info("   %s %s",opts.method,opts.url);
+   log.info("   headers: %j",opts.headers);
+   if (opts.body !== undefined) log.info("   body: %j",opts.body);
+   if (opts.form) log.info("   form: %j",opts.form);
+   if (opts.formData) {
+      log.info("   multipart: %j",resolve(api.request.multipart,self.vars));
+      // Close the streams of the file parts, which are never sent
+      forAll(opts.formData,function(name,part) {
+         if (part.value instanceof fs.ReadStream) part.value.destroy();
+      });
+   }
+   if (api.consumes.length > 0) log.info("   variables: %j",common.pick(self.vars,api.consumes));
+   return 0;
+};
+
 RunContext.prototype.doHook = function (api, hook, cb) {
    var self = this;
    if (!hook) { return cb(); }
@@ -1244,7 +2599,10 @@ RunContext.prototype.doRun = function(callback,proceed) {
    var queue;
    var hapi = self.hapi;
    var queueName = self.getSerialQueueName();
-   if (queueName && !proceed) {
+   if (queueName && proceed) {
+      // Resumed by the context ahead of this one, so this one is now at the head of the queue and must leave it when done
+      queue = hapi.serialQueues[queueName];
+   } else if (queueName) {
       queue = hapi.serialQueues[queueName];
       if (!queue) {
          hapi.serialQueues[queueName] = queue = [];
@@ -1324,6 +2682,12 @@ RunContext.prototype.doRun = function(callback,proceed) {
             return cb();
          });
       },
+      // Record the tests which did not run because this one did not get that far
+      function(cb) {
+         if (state < 3) self.addResult('failed',cbErr ? cbErr.toString() : 'preRun or before hook failed');
+         if (state < 5) self.skipChildren(util.format("%s did not complete",self.name));
+         return cb();
+      },
       // afterAll hook
       function(cb) {
          if (state < 5) return cb();
@@ -1371,19 +2735,38 @@ RunContext.prototype.doRun = function(callback,proceed) {
 };
 
 // Run all children in parallel
+// All children run to completion even if one fails; the first error is passed to 'cb'.
 RunContext.prototype.runChildren = function(cb) {
    var self = this;
+   var firstErr;
    if (log.isDebugEnabled()) log.debug("%srunChildren: %s",self.indent,self.name);
    async.each(
       self.node.children,
       function(node,cb) {
          var ctx = new RunContext(clone(self.vars),node,0,1,self);
-         ctx.run(cb);
+         ctx.run(function(err) {
+            if (err && !firstErr) firstErr = err;
+            cb();
+         });
       },
-      cb
+      function() {
+         cb(firstErr);
+      }
    );
 };
 
+// Record all tests in the subtree below this context's node as skipped
+RunContext.prototype.skipChildren = function(reason) {
+   var self = this;
+   if (self.ignoreFailures) return;
+   self.node.children.forEach(function(node) {
+      var ctx = new RunContext(self.vars,node,0,1,self);
+      if (log.isInfoEnabled()) log.info("%s) TEST SKIPPED: %s: %s",ctx.id,ctx.name,reason);
+      ctx.addResult('skipped',reason);
+      ctx.skipChildren(reason);
+   });
+};
+
 // Get the name of the queue, if any, to serialize on when running this context.
 // The only known case for needing this currently is when two objects are of the same "name" are being created
 // multiple times.  We need to serialize these types of calls.
@@ -1409,13 +2792,17 @@ RunContext.prototype.getSerialQueueName = function() {
 RunContext.prototype._sendRequest = function (cb) {
    var self = this;
    var response = {};
-   request(self.opts, function(err,resp,body) {
+   self.hapi.sendRequest(common.assign({ jar: self.cookieJar },self.opts), function(err,resp,body) {
+      if (!err && self.isAuthRetry(resp.statusCode)) return self.sendRequest(cb);
+      var delay = self.getRetryDelay(err,resp,body);
+      if (delay >= 0) return setTimeout(function() { self.sendRequest(cb); },delay);
       try {
          if (err) throw err;
          response.headers = resp.headers;
-         response.body = body;
+         response.body = Buffer.isBuffer(body) ? util.format("<%d bytes of binary data>",body.length) : body;
          response.statusCode = resp.statusCode;
          response.expectedStatusCode = self.status;
+         if (self.untilFailure) throw Error(self.untilFailure);
          var contentType = response.headers['content-type'] ? response.headers['content-type'].toLowerCase() : '';
          // If response is JSON, parse it
          if (contentType && contentType.startsWith(APP_JSON) && isString(body)) {
@@ -1426,46 +2813,180 @@ RunContext.prototype._sendRequest = function (cb) {
             }
          }
          var statusCode = resp.statusCode;
-         self.handleResponse(body,statusCode,contentType);
-         self.logTestPass(response);
-      } catch (reqErr) {
-         err = reqErr;
-         if (self.ignoreFailures) {
-            var errMsg = reqErr ? reqErr.toString() : '';
-            if (log.isDebugEnabled()) log.debug("%sfailed %s: %s",self.indent,self.name,errMsg);
-         } else {
-            self.logTestFailure(reqErr,response);
+         if (self.api.pagination && statusCode == self.status) {
+            return self.getPages(resp,body,function(pagesErr,pages) {
+               try {
+                  if (pagesErr) throw pagesErr;
+                  response.pages = pages.length;
+                  self.handleResponse(combinePages(self.api.pagination,pages),statusCode,contentType,resp.headers,pages);
+               } catch (pageErr) {
+                  return self.endResponse(pageErr,response,cb);
+               }
+               self.logTestPass(response);
+               self.endResponse(null,response,cb);
+            });
          }
+         self.handleResponse(body,statusCode,contentType,resp.headers);
+      } catch (reqErr) {
+         return self.endResponse(reqErr,response,cb);
       }
-      if (self.node === self.parent.node.preRun && err) {
-         log.debug("ignoring errors for preRun %s", self.name);
-        // err = null;
-      }
-      // err should be null on pass
-      if (cb) { cb(err); }
+      // Validation against an XML schema is asynchronous, so it is done last
+      self.checkXmlSchema(body,function(schemaErr) {
+         if (!schemaErr) self.logTestPass(response);
+         self.endResponse(schemaErr,response,cb);
+      });
    }); // end request()
 };
 
-RunContext.prototype.sendRequest = function(cb) {
+/*
+ * Follow the pages of a paginated response whose first page is 'body' as declared by the 'pagination' of the
+ * response, and call 'cb' with an error or the bodies of all of the pages.  Each page must have the expected
+ * status.  No more than 'max_pages' pages are fetched.
+ */
+RunContext.prototype.getPages = function(resp,body,cb) {
    var self = this;
+   var pagination = self.api.pagination;
+   var pages = [body];
+   var pageUrl;
    try {
-      self.opts = self.getOpts();
-   } catch(e) {
-      self.logTestFailure(e,null);
-      if (cb) { cb(e); }
-      return;
+      pageUrl = getNextPageUrl(pagination,self.opts.url,resp.headers,body);
+   } catch (err) {
+      return cb(err);
+   }
+   async.whilst(
+      function() { return pageUrl && pages.length < pagination.max_pages; },
+      function(next) {
+         var opts = common.assign({},self.opts,{ url: pageUrl });
+         if (log.isDebugEnabled()) log.debug("%sgetting page %d of %s: %s",self.indent,pages.length + 1,self.name,pageUrl);
+         self.hapi.sendRequest(opts,function(err,pageResp,pageBody) {
+            try {
+               if (err) throw err;
+               if (pageResp.statusCode != self.status) {
+                  throw Error(util.format("invalid status code for page %d (%s): received=%d, expected=%d",
+                                          pages.length + 1,pageUrl,pageResp.statusCode,self.status));
+               }
+               var contentType = (pageResp.headers['content-type'] || '').toLowerCase();
+               if (isString(pageBody) && contentType.startsWith(APP_JSON)) pageBody = JSON.parse(pageBody);
+               checkForJsonResponse(contentType,pageBody);
+               pages.push(pageBody);
+               pageUrl = getNextPageUrl(pagination,pageUrl,pageResp.headers,pageBody);
+            } catch (pageErr) {
+               return next(Error(util.format("failure getting page %d of %s: %s",pages.length + 1,self.name,pageErr.message)));
+            }
+            next();
+         });
+      },
+      function(err) {
+         if (err) return cb(err);
+         if (pageUrl) log.warn("%s) %s: stopped following pages after max_pages (%d)",self.id,self.name,pagination.max_pages);
+         cb(null,pages);
+      }
+   );
+};
+
+// Finish handling a response by logging the failure, if any, and calling 'cb'
+RunContext.prototype.endResponse = function (err, response, cb) {
+   var self = this;
+   if (err) {
+      if (self.ignoreFailures) {
+         if (log.isDebugEnabled()) log.debug("%sfailed %s: %s",self.indent,self.name,err.toString());
+      } else {
+         self.logTestFailure(err,response);
+      }
+   }
+   if (self.node === self.parent.node.preRun && err) {
+      log.debug("ignoring errors for preRun %s", self.name);
+   }
+   // err should be null on pass
+   if (cb) { cb(err); }
+};
+
+RunContext.prototype.sendRequest = function(cb) {
+   var self = this;
+   // The duration of a test includes all of its attempts
+   self.startTime = self.startTime || Date.now();
+   self.authorize(function(authErr) {
+      try {
+         if (authErr) throw authErr;
+         self.opts = self.getOpts();
+      } catch(e) {
+         self.logTestFailure(e,null);
+         if (cb) { cb(e); }
+         return;
+      }
+      try {
+         // Send the request
+         if (log.isDebugEnabled()) log.debug("%sREQUEST: sending request for '%s': %s",self.indent,self.name,pretty(self.opts));
+         self._sendRequest(cb);
+      } catch (e) {
+         self.logTestFailure(e, null);
+         if (cb) { cb(e); }
+      }
+   });
+};
+
+/*
+ * If the request is to be sent again because of the 'retry' rules or the 'until' poll condition of the test,
+ * return the number of milliseconds to wait before sending it; otherwise, return -1.  Each attempt is logged.
+ * A request is retried if it failed with one of the network errors or unexpected status codes of the 'retry'
+ * rules, and it is polled while the 'until' condition is not met.  If the condition is still not met when the
+ * poll times out, 'untilFailure' is set to the reason the test fails.
+ */
+RunContext.prototype.getRetryDelay = function(err,resp,body) {
+   var self = this;
+   var retry = self.api.retry;
+   var until = self.api.until;
+   if (!retry && !until) return -1;
+   self.attempts = (self.attempts || 0) + 1;
+   var outcome = err ? err.toString() : util.format("status=%d",resp.statusCode);
+   var delay = -1;
+   if (retry && self.attempts < retry.attempts && isRetryable(retry,err,resp,self.status)) {
+      delay = retry.backoff[Math.min(self.attempts,retry.backoff.length) - 1] * 1000;
+      log.info("%s) ATTEMPT %d of %d: %s: %s; retrying in %ds",self.id,self.attempts,retry.attempts,self.name,outcome,delay / 1000);
+      return delay;
+   }
+   if (until && !err) {
+      var unmet = getUnmetCondition(until,resp,body,self.vars);
+      if (unmet) {
+         outcome += ', ' + unmet;
+         if (Date.now() - self.startTime + until.interval * 1000 <= until.timeout * 1000) {
+            delay = until.interval * 1000;
+            log.info("%s) ATTEMPT %d: %s: %s; polling again in %ds",self.id,self.attempts,self.name,outcome,until.interval);
+            return delay;
+         }
+         self.untilFailure = util.format("the until condition was not met after %d attempts in %ds: %s",
+                                         self.attempts,until.timeout,unmet);
+      }
    }
+   log.info("%s) ATTEMPT %d: %s: %s",self.id,self.attempts,self.name,outcome);
+   return delay;
+};
+
+// Acquire a token for the request if it is authorized by the 'auth' section of its virtual host
+RunContext.prototype.authorize = function(cb) {
+   var self = this;
+   if (!self.api.usesAuth(self.api.request)) return cb();
    try {
-      // Send the request
-      if (log.isDebugEnabled()) log.debug("%sREQUEST: sending request for '%s': %s",self.indent,self.name,pretty(self.opts));
-      self._sendRequest(cb);
-   } catch (e) {
-      self.logTestFailure(e, null);
-      if (cb) { cb(e); }
+      self.api.getVirtualHost().auth.authorize(self.vars,cb);
+   } catch (err) {
+      cb(err);
    }
 };
 
-RunContext.prototype.handleResponse = function(body, statusCode, contentType) {
+// Return true if a request was rejected because its token is no longer valid, in which case the
+// token is renewed and the request is sent once more.  A 401 which is the expected status is not retried.
+RunContext.prototype.isAuthRetry = function(statusCode) {
+   var self = this;
+   if (statusCode !== 401 || self.status == 401 || self.authRetried) return false;
+   if (!self.api.usesAuth(self.api.request) || !self.opts.headers.authorization) return false;
+   self.authRetried = true;
+   self.api.getVirtualHost().auth.invalidate(self.vars,self.opts.headers.authorization);
+   if (log.isDebugEnabled()) log.debug("%stoken was rejected for %s; renewing it and retrying",self.indent,self.name);
+   return true;
+};
+
+// 'pages' are the bodies of the pages of a paginated response, in which case 'body' combines their items
+RunContext.prototype.handleResponse = function(body, statusCode, contentType, headers, pages) {
    // Exceptions in handleResponse should be handled by invoker.
    var self = this;
    var opts = self.opts;
@@ -1477,21 +2998,61 @@ RunContext.prototype.handleResponse = function(body, statusCode, contentType) {
       self.statusCode = strToInt(statusCode);
       throw Error(util.format("invalid status code: received=%d, expected=%d",statusCode,self.status));
    }
+   self.checkContentType(contentType);
    // Execute response actions
    if (self.actions) {
-      self.performActions(contentType, body);
+      self.performActions(contentType, body, headers || {});
    } else {
       if (log.isDebugEnabled()) log.debug("no actions for test %s",self.name);
    }
-   // Check the response received against the documented response body.
-   if (!self.ignoreBody) self.checkBody(body);
+   // Check the response received against the documented response headers and body.
+   self.checkHeaders(headers || {});
+   if (self.ignoreBody) return;
+   if (!pages) return self.checkBody(body);
+   // Each page of a paginated response is checked against the documented response body
+   pages.forEach(function(page,index) {
+      try {
+         self.checkBody(page);
+      } catch (err) {
+         throw Error(util.format("page %d: %s",index + 1,err.message));
+      }
+   });
+};
+
+// Check the response headers against the 'headers' section of the response
+RunContext.prototype.checkHeaders = function(headers) {
+   var self = this;
+   var errors = [];
+   forAll(self.api.response.headers,function(name,spec) {
+      spec = normalizeHeaderSpec(name,spec);
+      var actual = headers[name.toLowerCase()];
+      if (actual === undefined) {
+         if (spec.required) errors.push(util.format("the '%s' header was not found",name));
+         return;
+      }
+      if (isArray(actual)) actual = actual.join(', ');
+      if (spec.pattern) {
+         if (!spec.pattern.test(actual)) {
+            errors.push(util.format("the '%s' header value '%s' does not match %s",name,actual,spec.pattern));
+         }
+      } else if (spec.value !== undefined) {
+         var expected = String(resolve(spec.value,self.vars));
+         if (actual !== expected) {
+            errors.push(util.format("the '%s' header value '%s' does not equal '%s'",name,actual,expected));
+         }
+      }
+   });
+   if (errors.length > 0) throw Error("HEADER VALIDATION FAILURE: " + pretty(errors));
 };
 
 RunContext.prototype.logTestPass = function (response) {
+   // Under load, the result is recorded without logging each test
+   if (this.hapi.loading) return this.addResult('passed');
    if (this.ignoreFailures) {
       if (log.isDebugEnabled()) log.debug("%spassed: %s",this.indent,this.name);
    }
    else {
+      this.addResult('passed');
       if (log.isTraceEnabled()) log.trace("\n");
       if (log.isInfoEnabled()) log.info("%s) TEST PASSED: %s",this.id,this.name);
       if (log.isTraceEnabled()) log.trace("%s     REQUEST: %s", this.indent, pretty(this.opts));
@@ -1511,7 +3072,9 @@ RunContext.prototype.logTestPass = function (response) {
 RunContext.prototype.logTestFailure = function (err, response) {
    // most of the stack is the event loop, which is meaningless
    err.handled = true;
+   if (this.hapi.loading) return this.addResult('failed',err.toString());
    var errMsg = (log.isTraceEnabled() && err.stack) ? err.stack.split('at Request._callback')[0] : err.toString();
+   if (!this.ignoreFailures) this.addResult('failed',err.toString());
    if (log.isTraceEnabled()) log.trace("\n");
    log.error("%s) TEST FAILED: %s: %s", this.id, this.name, errMsg);
    log.addTimeStamp = false;
@@ -1527,7 +3090,36 @@ RunContext.prototype.logTestFailure = function (err, response) {
    log.addTimeStamp = true;
 };
 
+// Add the result of this test to the results of the run
+RunContext.prototype.addResult = function (status, failure) {
+   var results = this.hapi.results;
+   if (!results || this.ignoreFailures) return;
+   var opts = this.opts;
+   results.add(log.redact({
+      id: this.id,
+      name: this.name,
+      api: this.api.name,
+      vhost: this.api.getVirtualHost().getName(),
+      request: opts ? common.pick(opts,['method','url','headers','body','form']) : null,
+      status: status,
+      duration: this.startTime ? Date.now() - this.startTime : 0,
+      failure: failure
+   }));
+};
+
+// Check the response's content type against the 'content_type' of the response, if any
+RunContext.prototype.checkContentType = function(contentType) {
+   var expected = this.api.response.content_type;
+   if (expected && !(contentType || '').startsWith(expected.toLowerCase())) {
+      throw Error(util.format("response was of type '%s' but expected '%s'",contentType,expected));
+   }
+};
+
 RunContext.prototype.checkBody = function(body) {
+   var res = this.api.response;
+   if (res.xml) return this.checkXmlBody(body,res.xml);
+   if (res.text) return this.checkTextBody(body,res.text);
+   if (res.binary) return this.checkBinaryBody(body,res.binary);
    var schema = getBodySchema(this.api.response);
    if (log.isDebugEnabled()) log.debug("schema: %s",pretty(schema));
    this._checkBody(body,schema,"");
@@ -1551,6 +3143,98 @@ RunContext.prototype._checkBody = function(body,schema,path) {
    }
 };
 
+// Check an XML response body against the 'xpath' assertions of the 'xml' section of the response
+RunContext.prototype.checkXmlBody = function(body,xml) {
+   var self = this;
+   var doc = parseXml(bodyToString(body));
+   var errors = [];
+   forAll(xml.xpath,function(expr,expected) {
+      try {
+         var actual = getXPathVal(doc,resolve(expr,self.vars));
+         var err = checkExpectedVal(actual,expected,self.vars);
+         if (err) errors.push(util.format("xpath '%s': %s",expr,err));
+      } catch (ex) {
+         errors.push(ex.message);
+      }
+   });
+   if (errors.length > 0) throw Error("XML VALIDATION FAILURE: " + pretty(errors));
+};
+
+// Check an XML response body against the XML schema in the 'xsd' file of the 'xml' section of the response.
+// The file is relative to the input directory.
+RunContext.prototype.checkXmlSchema = function(body,cb) {
+   var self = this;
+   var xml = self.api.response.xml;
+   if (!xml || !xml.xsd || self.ignoreBody) return cb();
+   var xsdFile = path.resolve(self.hapi.getInputDir(),xml.xsd);
+   var schema;
+   try {
+      schema = fs.readFileSync(xsdFile,'utf8');
+   } catch (err) {
+      return cb(Error(util.format("unable to read XML schema %s: %s",xsdFile,err.message)));
+   }
+   // 'cb' is called outside of the promise so that an error thrown by the rest of the test is not swallowed by it
+   xmllint.validateXML({
+      xml: [{ fileName: 'response.xml', contents: bodyToString(body) }],
+      schema: [{ fileName: path.basename(xsdFile), contents: schema }]
+   }).then(function(result) {
+      var schemaErr;
+      if (!result.valid) {
+         var errors = result.errors.map(function(e) { return e.message; });
+         schemaErr = Error("XML SCHEMA VALIDATION FAILURE: " + pretty(errors));
+      }
+      setImmediate(cb,schemaErr);
+   },function(err) {
+      setImmediate(cb,Error(util.format("unable to validate against XML schema %s: %s",xsdFile,err)));
+   });
+};
+
+// Check a text response body against the 'text' section of the response, which is either a
+// regular expression or an object with a 'regex' and/or 'equals' field
+RunContext.prototype.checkTextBody = function(body,text) {
+   var self = this;
+   body = bodyToString(body);
+   if (lodash.isRegExp(text) || isString(text)) text = { regex: text };
+   var errors = [];
+   if (text.regex) {
+      var regex = isString(text.regex) ? new RegExp(text.regex) : text.regex;
+      if (!regex.test(body)) errors.push(util.format("the response body does not match %s",regex));
+   }
+   if (text.hasOwnProperty('equals')) {
+      var expected = resolve(text.equals,self.vars);
+      if (body !== expected) errors.push(util.format("the response body does not equal '%s'",expected));
+   }
+   if (errors.length > 0) throw Error("TEXT VALIDATION FAILURE: " + pretty(errors));
+};
+
+// Check a binary response body against the 'binary' section of the response, which may contain
+// 'size', 'min_size', 'max_size', and hash fields ('md5', 'sha1', 'sha256') with hex digests
+RunContext.prototype.checkBinaryBody = function(body,binary) {
+   var self = this;
+   if (!body) body = Buffer.alloc(0);
+   if (!Buffer.isBuffer(body)) body = Buffer.from(bodyToString(body),'utf8');
+   var errors = [];
+   var size = body.length;
+   if (binary.hasOwnProperty('size') && size !== binary.size) {
+      errors.push(util.format("the response body size is %d bytes but expected %d",size,binary.size));
+   }
+   if (binary.hasOwnProperty('min_size') && size < binary.min_size) {
+      errors.push(util.format("the response body size is %d bytes but expected at least %d",size,binary.min_size));
+   }
+   if (binary.hasOwnProperty('max_size') && size > binary.max_size) {
+      errors.push(util.format("the response body size is %d bytes but expected at most %d",size,binary.max_size));
+   }
+   ['md5','sha1','sha256'].forEach(function(alg) {
+      if (!binary[alg]) return;
+      var expected = String(resolve(binary[alg],self.vars)).toLowerCase();
+      var actual = crypto.createHash(alg).update(body).digest('hex');
+      if (actual !== expected) {
+         errors.push(util.format("the %s hash of the response body is %s but expected %s",alg,actual,expected));
+      }
+   });
+   if (errors.length > 0) throw Error("BINARY VALIDATION FAILURE: " + pretty(errors));
+};
+
 RunContext.prototype.checkArray = function(obj,path,fcn) {
    var self = this;
    if (!isArray(obj)) throw Error(util.format("the '%s' field must be an array",path));
@@ -1567,7 +3251,7 @@ RunContext.prototype.checkType = function(obj,path,fcn,type) {
 };
 
 // Attempt to perform response actions.
-RunContext.prototype.performActions = function(contentType,body) {
+RunContext.prototype.performActions = function(contentType,body,headers) {
    var self = this;
    for (var i = 0; i < self.actions.length; i++) {
       var action = self.actions[i];
@@ -1577,14 +3261,20 @@ RunContext.prototype.performActions = function(contentType,body) {
          var value;
          if (action.value) {
             value = resolve(action.value,self.vars);
+         } else if (action.header) {
+            value = getHeaderVal(headers,action.header,action.regex);
+         } else if (action.cookie) {
+            value = getCookieVal(headers,action.cookie,action.regex);
+         } else if (action.xpath) {
+            value = getXPathVal(parseXml(bodyToString(body)),resolve(action.xpath,self.vars));
          } else if (action.path) {
             checkForJsonResponse(contentType,body);
-            value = getVal(body,action.path);
+            value = getPathVal(body,action.path,self.vars);
          } else if (action.fcn) {
             checkForJsonResponse(contentType,body);
             value = action.fcn(body);
          } else {
-            throw Error(util.format("action does not contain 'value', 'path', nor 'fcn' field: %j",action));
+            throw Error(util.format("action does not contain any of the %j fields: %j",VAR_SOURCES,action));
          }
          self.setVar(name,value);
       } else if (action.var_rename) {
@@ -1602,6 +3292,7 @@ RunContext.prototype.performActions = function(contentType,body) {
 RunContext.prototype.setVar = function(name,val) {
    var oldVal = this.vars[name];
    this.vars[name] = val;
+   if (this.hapi.secretVars.includes(name)) log.addSecret(val);
    if (log.isDebugEnabled()) {
       if (oldVal) {
          log.debug("%stest %s changed '%s' from '%s' to '%s'",this.indent,this.name,name,oldVal,val);
@@ -1630,6 +3321,8 @@ RunContext.prototype.delVar = function(name) {
 function HookContext(vars,runContext) {
    this.vars = vars;
    this.api = runContext.api;
+   this.hapi = runContext.hapi;
+   this.cookieJar = runContext.cookieJar;
    this.break = false;
 }
 
@@ -1639,6 +3332,7 @@ HookContext.prototype.getVar = function (name) {
 
 HookContext.prototype.setVar = function (name, value) {
    this.vars[name] = value;
+   if (this.hapi.secretVars.includes(name)) log.addSecret(value);
 };
 
 HookContext.prototype.isBreak = function () {
@@ -1649,16 +3343,284 @@ HookContext.prototype.setBreak = function (breakVal) {
    this.break = breakVal;
 };
 
-HookContext.prototype.sendRequest = function(opts,cb) {
+HookContext.prototype.sendRequest = function(request,cb) {
+   var self = this;
+   var auth = self.api.getVirtualHost().auth;
+   if (!self.api.usesAuth(request)) return self._sendRequest(request,cb);
+   try {
+      auth.authorize(self.vars,function(err) {
+         if (err) return cb(err);
+         self._sendRequest(request,cb);
+      });
+   } catch (err) {
+      cb(err);
+   }
+};
+
+HookContext.prototype._sendRequest = function(request,cb) {
    var self = this;
-   opts = self.api.getOpts(opts,this.vars);
+   var opts = self.api.getOpts(request,this.vars);
    if (log.isDebugEnabled()) log.debug("HOOK REQUEST: %j",opts);
-   request(opts,function(err,response,body) {
+   self.hapi.sendRequest(common.assign({ jar: self.cookieJar },opts),function(err,response,body) {
       if (log.isDebugEnabled()) log.debug("HOOK RESPONSE: request=%j, err=%j, response=%j, body=%j",opts,err,response,body);
       cb(err,response,body);
    });
 };
 
+/*
+ * Linter collects the problems found by 'hapi lint'.  As the API definitions are loaded, Hapi.loadInfo calls
+ * lintScope for each hapi.js section and lintApi for each API file; lintApis then checks the APIs built from them.
+ * Each problem has the 'file' relative to the input directory, the 'path' of the field within the file, and a 'message'.
+ * Errors are problems which fail gendoc, compile or run; warnings are likely mistakes which do not.
+ */
+function Linter(hapi) {
+   this.hapi = hapi;
+   this.errors = [];
+   this.warnings = [];
+   this.varDefs = {};    // maps the name of each defined variable to the file which defines it
+   this.varRefs = [];    // the names of the variables referenced, produced or consumed by the APIs
+   this.envVars = [];    // the variables set by the 'environments' sections
+}
+
+Linter.prototype.error = function(file,path,message) {
+   addLintProblem(this.errors,file,path,message);
+};
+
+Linter.prototype.warning = function(file,path,message) {
+   addLintProblem(this.warnings,file,path,message);
+};
+
+Linter.prototype.getErrors = function() {
+   return this.errors;
+};
+
+Linter.prototype.getWarnings = function() {
+   return this.warnings;
+};
+
+// Check the hapi.js section 'info' of the directory 'dir'.  Return false if the APIs in the directory can't be loaded.
+Linter.prototype.lintScope = function(info,vhost,vars,dir) {
+   var self = this;
+   var scopeVars = common.assign({},vars,info.variables);
+   var dirFile = path.join(dir || '','hapi.js');
+   var file;
+   forAll(info.variables,function(name,def) {
+      var field = 'variables.' + name;
+      file = self.getHapiFile(function(hapi) { return hapi.variables && hapi.variables[name] === def; },dirFile);
+      self.varDefs[name] = file;
+      // The loader has already reported a definition which is not valid against the schema
+      if (!isObject(def)) return;
+      Object.keys(def).forEach(function(key) {
+         if (!VARIABLE_FIELDS.includes(key)) self.warning(file,field+'.'+key,util.format("unknown field '%s'",key));
+      });
+      self.checkVars(file,field+'.value',def.value,scopeVars);
+   });
+   forAll(info.environments,function(envName,values) {
+      file = self.getHapiFile(function(hapi) { return hapi.environments && hapi.environments[envName] === values; },dirFile);
+      forAll(values,function(name) {
+         self.envVars.push({ file: file, path: util.format('environments.%s.%s',envName,name), name: name });
+      });
+   });
+   var vh = info.virtual_host;
+   if (!vh) return true;
+   file = self.getHapiFile(function(hapi) { return hapi.virtual_host === vh; },dirFile);
+   if (vhost) {
+      self.error(file,'virtual_host',"multiple levels of virtual hosts are not permitted; the APIs in this directory were not checked");
+      return false;
+   }
+   if (vh.host_variable) {
+      self.varRefs.addUniq(vh.host_variable);
+      if (!scopeVars[vh.host_variable]) {
+         self.error(file,'virtual_host.host_variable',util.format("variable '%s' is referenced but never defined",vh.host_variable));
+      }
+   }
+   if (!vh.swagger) self.error(file,'virtual_host.swagger',"no swagger info; gendoc requires it");
+   self.checkVars(file,'virtual_host.auth',vh.auth,scopeVars);
+   // Check the rest of the auth section if it is valid against the schema
+   if (self.hasErrors(file)) return true;
+   try {
+      new VirtualHost(self.hapi,vh,scopeVars);
+   } catch (err) {
+      self.error(file,'virtual_host.auth',err.message + "; the APIs in this directory were not checked");
+      return false;
+   }
+   return true;
+};
+
+// Return true if an error has been found in 'file'
+Linter.prototype.hasErrors = function(file) {
+   return this.errors.some(function(problem) { return problem.file === file; });
+};
+
+// Get the hapi.js file whose hapi section satisfies 'fcn', or 'dflt' if there is none.  This is needed because the
+// loader merges the sections of the hapi.js files of a directory tree into a single scope.
+Linter.prototype.getHapiFile = function(fcn,dflt) {
+   var self = this;
+   if (!self.hapiFiles) {
+      var dir = path.resolve(self.hapi.getInputDir());
+      self.hapiFiles = glob.sync('**/hapi.js',buildGlobOpts(dir)).map(function(file) {
+         return { file: file, hapi: require(dir + '/' + file).hapi || {} };
+      });
+   }
+   var found = common.find(self.hapiFiles,function(hapiFile) { return fcn(hapiFile.hapi); });
+   return found ? found.file : dflt;
+};
+
+// Check the API file 'file', which is valid against the API file schema, before it is loaded into 'vhost'.
+// Return false if it has errors, in which case it is not loaded.
+Linter.prototype.lintApi = function(file,info,vars,vhost) {
+   var self = this;
+   var count = self.errors.length;
+   if (!vhost) {
+      self.error(file,'',"the API is not in the directory of a virtual host");
+      return false;
+   }
+   Object.keys(info).forEach(function(key) {
+      if (!API_FIELDS.includes(key)) self.warning(file,key,util.format("unknown field '%s'",key));
+   });
+   if (!info.description) self.warning(file,'description',"the API has no description");
+   if (vhost.info.swagger && vhost.info.swagger.tags) {
+      var declared = vhost.info.swagger.tags.map(function(tag) { return tag.name; });
+      info.tags.forEach(function(tag,index) {
+         if (!declared.includes(tag)) {
+            self.warning(file,util.format('tags[%d]',index),
+                         util.format("tag '%s' is not declared in the swagger info of virtual host %s",tag,vhost.getName()));
+         }
+      });
+   }
+   var req = info.request;
+   if (!req.path.startsWith('/')) self.warning(file,'request.path',"the path does not begin with '/'");
+   if (req.method && !HTTP_METHODS.includes(req.method.toUpperCase())) {
+      self.error(file,'request.method',util.format("invalid method '%s'; must be one of %j",req.method,HTTP_METHODS));
+   }
+   var bodyFields = ['body','form','multipart'].filter(function(field) { return req[field]; });
+   if (bodyFields.length > 1) self.error(file,'request',util.format("only one of the %j request fields may be set",bodyFields));
+   self.lintBody(file,'request',req,vars,true);
+   forAll(info.responses,function(scode,res) {
+      var field = 'responses.' + scode;
+      Object.keys(res).forEach(function(key) {
+         if (!RESPONSE_FIELDS.includes(key)) self.warning(file,field+'.'+key,util.format("unknown field '%s'",key));
+      });
+      if (!res.description) self.warning(file,field+'.description',"the response has no description");
+      self.lintBody(file,field,res,vars);
+   });
+   self.checkVars(file,'',info,vars);
+   if (self.errors.length > count) return false;
+   try {
+      getVarValues(vars);
+   } catch (err) {
+      // A variable value references an undefined variable, which lintScope has already reported
+      return false;
+   }
+   return true;
+};
+
+// Check the 'body' and 'bodymd' fields of the request or response at 'field'
+Linter.prototype.lintBody = function(file,field,obj,vars,isRequest) {
+   if (!obj.body || obj.body_schema) return;
+   var map = {};
+   try {
+      bodyToJsonSchema(obj.body,map,"",vars,isRequest);
+   } catch (err) {
+      return this.error(file,field+'.body',err.message);
+   }
+   try {
+      processBodymd(obj.bodymd,map);
+   } catch (err) {
+      this.error(file,field+'.bodymd',err.message);
+   }
+};
+
+// Check that each variable referenced by 'input', found at 'field' of 'file', is defined in 'vars'
+Linter.prototype.checkVars = function(file,field,input,vars) {
+   var self = this;
+   if (isString(input)) {
+      getVarNames(input).forEach(function(varName) {
+         if (!varName) return;
+         self.varRefs.addUniq(varName);
+         if (!vars[varName]) self.error(file,field,util.format("variable '%s' is referenced but never defined",varName));
+      });
+   } else if (isArray(input)) {
+      input.forEach(function(ele,index) {
+         self.checkVars(file,util.format('%s[%d]',field,index),ele,vars);
+      });
+   } else if (isObject(input)) {
+      forAll(input,function(key,val) {
+         self.checkVars(file,field ? field+'.'+key : key,val,vars);
+      });
+   }
+};
+
+// Check the APIs built from the loaded API files: their actions, the APIs named by their hooks and var_new actions,
+// and their variable dependencies.  Then check for variables which are defined but never used.
+Linter.prototype.lintApis = function() {
+   var self = this;
+   var hapi = self.hapi;
+   hapi.mapis.forEach(function(mapi) {
+      forAll(mapi.responses,function(scode) {
+         try {
+            hapi.apis = hapi.apis.concat(mapi.getResponseApis(scode));
+         } catch (err) {
+            self.error(mapi.file,'responses.'+scode,err.message);
+         }
+      });
+   });
+   var names = hapi.apis.map(function(api) { return api.name; });
+   hapi.apis.forEach(function(api) {
+      var file = api.mapi.file;
+      var field = 'responses.' + api.response.status;
+      ['before','afterApi','afterAll'].forEach(function(hook) {
+         var hookField = api[hook] === api.mapi[hook] ? hook : field + '.' + hook;
+         getHookApiNames(api[hook]).forEach(function(name) {
+            if (!names.includes(name)) self.error(file,hookField,util.format("API '%s' was not found",name));
+         });
+      });
+      if (api.var_new) {
+         ['get','delete'].forEach(function(key) {
+            var name = api.var_new[key];
+            if (!names.includes(name)) self.error(file,field+'.actions',util.format("API '%s' of var_new.%s was not found",name,key));
+         });
+      }
+      self.varRefs = common.union(self.varRefs,api.consumes,api.produces,api.deletes);
+   });
+   // A variable which is neither produced nor predefined may still be set at run time by a config file,
+   // so only dependency cycles are errors
+   hapi.checkDependencies(hapi.apis).forEach(function(error) {
+      if (error.cycle) self.error(error.api.mapi.file,'',error.message);
+      else self.warning(error.api.mapi.file,'',error.message);
+   });
+   forAll(self.varDefs,function(name,file) {
+      if (!self.varRefs.includes(name)) {
+         self.warning(file,'variables.'+name,util.format("variable '%s' is defined but never used",name));
+      }
+   });
+   self.envVars.forEach(function(envVar) {
+      if (!self.varDefs.hasOwnProperty(envVar.name)) {
+         self.warning(envVar.file,envVar.path,util.format("variable '%s' is not defined",envVar.name));
+      }
+   });
+};
+
+// Print the problems in 'format', one of LINT_FORMATS
+Linter.prototype.print = function(format) {
+   var self = this;
+   var errors = common.sortBy(self.errors,'file');
+   var warnings = common.sortBy(self.warnings,'file');
+   if (format === 'json') {
+      console.log(JSON.stringify({ errors: errors, warnings: warnings },null,3));
+      return;
+   }
+   [['ERRORS',errors],['WARNINGS',warnings]].forEach(function(section) {
+      if (section[1].length === 0) return;
+      console.log("%s:",section[0]);
+      section[1].forEach(function(problem) {
+         var where = problem.path ? problem.file + ': ' + problem.path : problem.file;
+         console.log("   %s: %s",where,problem.message);
+      });
+   });
+   console.log("LINT: %d errors, %d warnings",errors.length,warnings.length);
+};
+
 /*
  * HapiLoader stands for "HTTP API Loader".
  * It can be used in either of two ways:
@@ -1668,6 +3630,8 @@ HookContext.prototype.sendRequest = function(opts,cb) {
 function HapiLoader() {
    this.info = {};
    this.errors = [];
+   this.fileErrors = [];
+   this.dirErrors = [];
 }
 
 HapiLoader.prototype.loadFromDir = function(dir) {
@@ -1675,12 +3639,12 @@ HapiLoader.prototype.loadFromDir = function(dir) {
    dir = path.resolve(dir);
    var hapiPath = dir + '/hapi.js';
    if (!isFile(hapiPath)) {
-      self.errors.push(util.format("hapi.js file not found in input directory: %s",dir));
+      self.addDirError(util.format("hapi.js file not found in input directory: %s",dir));
       return;
    }
    var hapi = require(hapiPath);
    if (!hapi.hapi) {
-      self.errors.push(util.format("file '%s' has no 'hapi' section: %j",hapiPath,hapi));
+      self.addDirError(util.format("file '%s' has no 'hapi' section: %j",hapiPath,hapi));
       return;
    }
    this.info = this._loadDir(dir,"");
@@ -1694,6 +3658,22 @@ HapiLoader.prototype.getErrors = function() {
    return this.errors;
 };
 
+// Get the errors loading the input directory as a whole rather than an individual file
+HapiLoader.prototype.getDirErrors = function() {
+   return this.dirErrors;
+};
+
+HapiLoader.prototype.addDirError = function(msg) {
+   this.errors.push(msg);
+   this.dirErrors.push(msg);
+};
+
+// Get the errors loading individual files, each with the 'file' relative to the input directory, the 'path' of the
+// field in error (empty if the file could not be loaded at all) and a 'message'
+HapiLoader.prototype.getFileErrors = function() {
+   return this.fileErrors;
+};
+
 HapiLoader.prototype.addRoute = function(app,path) {
    var self = this;
    app.get(path, function(req,res) {
@@ -1714,6 +3694,19 @@ HapiLoader.prototype.main = function() {
    }
 };
 
+// Validate the contents of 'file' against 'schema' (see the schemas directory), recording an error for each violation.
+// Return true if the contents are valid.
+HapiLoader.prototype.validate = function(file,contents,schema) {
+   var self = this;
+   var result = tv4.validateMultiple(contents,schema,true);
+   getSchemaErrors(result.errors).forEach(function(err) {
+      var field = getFieldPath(contents,err.dataPath);
+      self.errors.push(util.format("invalid file %s: %s%s",file,field ? field + ': ' : '',err.message));
+      self.fileErrors.push({ file: file, path: field, message: err.message });
+   });
+   return result.valid;
+};
+
 /*
  * Factory for glob options object.
  */
@@ -1721,7 +3714,7 @@ function buildGlobOpts (dir) {
    // Tell glob to use the hapi dir as its cwd, and ignore files for which
    // we have special handling. We then check for an .hdtignore file, which
    // allows users to exclude files from tests.
-   var globOpts = {cwd:dir, mark:false, ignore:['**/swagger-*']};
+   var globOpts = {cwd:dir, mark:false, ignore:['**/swagger-*','**/openapi-*']};
 
    if (existsSync(dir + '/.hdtignore')) {
       var patterns = fs.readFileSync(dir + '/.hdtignore', 'utf8').split('\n');
@@ -1754,6 +3747,7 @@ HapiLoader.prototype._loadDir = function(dir) {
          if (path.endsWith('/hapi.js')) {
             var hapi = require(path);
             if (hapi.hapi) {
+               self.validate(file,hapi.hapi,hapiSchema);
                for (var key in hapi.hapi) {
                   scopeHapis[key] = hapi.hapi[key];
                }
@@ -1767,18 +3761,23 @@ HapiLoader.prototype._loadDir = function(dir) {
             });
          } else {
             try {
-               scopeHapis.elements.push({
-                  type: "api",
-                  name: file.substring(0,file.lastIndexOf('.')),
-                  value: require(path)
-               });
+               var api = require(path);
+               if (self.validate(file,api,apiSchema)) {
+                  scopeHapis.elements.push({
+                     type: "api",
+                     name: file.substring(0,file.lastIndexOf('.')),
+                     file: file,
+                     value: api
+                  });
+               }
             } catch (err) {
                self.errors.push(util.format("failed loading file %s in directory %s: %s",file,dir,err));
+               self.fileErrors.push({ file: file, path: '', message: String(err) });
             }
          }
       });
    } catch (err) {
-      self.errors.push(util.format("failed loading directory %s: %s",dir,err));
+      self.addDirError(util.format("failed loading directory %s: %s",dir,err));
    }
    return allHapis;
 };
@@ -1825,7 +3824,7 @@ function scanForVars(input,varList) {
 }
 
 // Given a request or response object, return the schema for the body in JSON schema syntax
-function getBodySchema(requestOrResponse,vars) {
+function getBodySchema(requestOrResponse,vars,isRequest) {
    if (requestOrResponse.body_schema) {
       // It was declared using JSON schema syntax directly
       return requestOrResponse.body_schema;
@@ -1835,7 +3834,7 @@ function getBodySchema(requestOrResponse,vars) {
       // It was declared using the more-friendly syntax with optional bodymd amending it
       var bodymd = requestOrResponse.bodymd;
       var map = {};
-      var schema = bodyToJsonSchema(body,map,"",vars);
+      var schema = bodyToJsonSchema(body,map,"",vars,isRequest);
       processBodymd(bodymd,map);
       setSchemaRequiredArray(schema);
       return schema;
@@ -1857,15 +3856,118 @@ function getSchemaRef(schema,defs) {
          break;
       }
    }
-   if (!key) {
-      // not found, so add to definitions section
-      key = keys.length + 1;
-      defs[key] = schema;
-   }
-   return {
-      type: "object",
-      "$ref": "#/definitions/"+key
-   };
+   if (!key) {
+      // not found, so add to definitions section
+      key = keys.length + 1;
+      defs[key] = schema;
+   }
+   return {
+      type: "object",
+      "$ref": "#/definitions/"+key
+   };
+}
+
+// Given a schema and the OpenAPI 3.0 'components/schemas' section, return a reference to
+// the schema, adding it with 'name' if an identical schema is not already there.  This is used for gendoc only.
+function getComponentRef(schema,schemas,name) {
+   var key;
+   var keys = Object.keys(schemas);
+   for (var i = 0; i < keys.length; i++) {
+      if (lodash.isEqual(schemas[keys[i]],schema)) {
+         key = keys[i];
+         break;
+      }
+   }
+   if (!key) {
+      key = name;
+      schemas[key] = schema;
+   }
+   return { "$ref": "#/components/schemas/"+key };
+}
+
+// Get the OpenAPI 3.0 'content' field for a schema with each of the media types
+function getOpenApi3Content(mediaTypes,schema) {
+   var content = {};
+   mediaTypes.forEach(function(mediaType) {
+      content[mediaType] = { schema: schema };
+   });
+   return content;
+}
+
+/*
+ * Convert a JSON schema generated from the 'body' syntax to an OpenAPI 3.0 schema object, which:
+ * 1) has 'nullable' rather than a 'null' type,
+ * 2) has 'additionalProperties' rather than 'patternProperties', and
+ * 3) does not have the 'date-time' type or the hapi-specific ignore format.
+ */
+function toOpenApi3Schema(schema) {
+   if (!isObject(schema)) return schema;
+   var result = {};
+   forAll(schema,function(key,val) {
+      switch(key) {
+      case 'type':
+         if (isArray(val)) {
+            if (val.includes('null')) result.nullable = true;
+            val = val.filter(function(type) { return type !== 'null'; });
+            val = val.length === 1 ? val[0] : val;
+         }
+         if (val === 'date-time') {
+            result.type = 'string';
+            result.format = 'date-time';
+         } else {
+            result.type = val;
+         }
+         break;
+      case 'format':
+         if (val !== FORMAT_IGNORE) result.format = val;
+         break;
+      case 'required':
+         // Only the array form of 'required' is valid
+         if (isArray(val)) result.required = val;
+         break;
+      case 'properties':
+         result.properties = {};
+         forAll(val,function(name,prop) {
+            result.properties[name] = toOpenApi3Schema(prop);
+         });
+         break;
+      case 'patternProperties':
+         var patterns = Object.keys(val);
+         result.additionalProperties = patterns.length > 0 ? toOpenApi3Schema(val[patterns[0]]) : true;
+         break;
+      case 'items':
+      case 'additionalProperties':
+         result[key] = toOpenApi3Schema(val);
+         break;
+      case 'anyOf':
+      case 'oneOf':
+      case 'allOf':
+         result[key] = val.map(toOpenApi3Schema);
+         break;
+      default:
+         result[key] = val;
+      }
+   });
+   return result;
+}
+
+// Convert a swagger 2.0 security definition to an OpenAPI 3.0 security scheme
+function toOpenApi3SecurityScheme(def) {
+   switch(def.type) {
+   case 'basic':
+      return { type: 'http', scheme: 'basic', description: def.description };
+   case 'oauth2':
+      var flowNames = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' };
+      var flows = {};
+      flows[flowNames[def.flow] || def.flow] = {
+         authorizationUrl: def.authorizationUrl,
+         tokenUrl: def.tokenUrl,
+         scopes: def.scopes || {}
+      };
+      return { type: 'oauth2', description: def.description, flows: flows };
+   default:
+      return clone(def);
+   }
 }
 
 function processBodymd(bodymd,map) {
@@ -1879,24 +3981,28 @@ function processBodymd(bodymd,map) {
    });
 }
 
-// Translate the 'body' syntax to JSON schema syntax
-function bodyToJsonSchema(body,map,path,vars) {
-   if (!body) return null;
+// Translate the 'body' syntax to JSON schema syntax.  Only the body of a request, for which 'isRequest' is true,
+// may contain constant numbers and booleans; in the body of a response they are an error.
+function bodyToJsonSchema(body,map,path,vars,isRequest) {
+   if (!body && !(isRequest && (common.isNumber(body) || isBoolean(body)))) return null;
    var result;
    if (isString(body)) {
       result = getDocInfo(body,'string',vars);
+   } else if (isRequest && (common.isNumber(body) || isBoolean(body))) {
+      // A constant number or boolean in a request body is documented by its type and value
+      result = { type: isBoolean(body) ? 'boolean' : isInteger(body) ? 'integer' : 'number', description: String(body), required: true };
    } else if (isArray(body)) {
       var items,description,arrayDoc;
       switch(body.length) {
       case 1:
-         items = bodyToJsonSchema(body[0],map,path+'[0]',vars);
+         items = bodyToJsonSchema(body[0],map,path+'[0]',vars,isRequest);
          description = util.format("An array of %s items",items.description || "unique");
          arrayDoc = {type:"array",description:description,items:items};
          arrayDoc.required = true;
          result = arrayDoc;
          break;
       case 2:
-         items = bodyToJsonSchema(body[1],map,path+'[1]',vars);
+         items = bodyToJsonSchema(body[1],map,path+'[1]',vars,isRequest);
          description = util.format("An array of %s items",items.description || "unique");
          arrayDoc = getDocInfo(body[0],'array');
          arrayDoc.items = items;
@@ -1912,7 +4018,7 @@ function bodyToJsonSchema(body,map,path,vars) {
       if ((keys.length === 1) && (keys[0] === '*')) {
          obj = {
             "patternProperties": {
-               "^.+$": bodyToJsonSchema(body['*'],map,path?path+'.*':'*',vars)
+               "^.+$": bodyToJsonSchema(body['*'],map,path?path+'.*':'*',vars,isRequest)
             }
          };
       } else {
@@ -1925,7 +4031,7 @@ function bodyToJsonSchema(body,map,path,vars) {
             obj = {type:"object",properties:props,required:true};
          }
          forAll(body,function(key,val) {
-            val = bodyToJsonSchema(val,map,path?path+'.'+key:key,vars);
+            val = bodyToJsonSchema(val,map,path?path+'.'+key:key,vars,isRequest);
             props[key] = val;
          });
       }
@@ -1941,7 +4047,7 @@ function bodyToJsonSchema(body,map,path,vars) {
 // individual 'required' statements to the array format expected
 // by swagger
 function setSchemaRequiredArray(schema) {
-   if (schema.type === 'object') {
+   if (hasSchemaType(schema,'object')) {
       var required = [];
       forAll(schema.properties, function(key,val) {
          if (val) {
@@ -1957,13 +4063,18 @@ function setSchemaRequiredArray(schema) {
       } else {
          delete schema.required;
       }
-   } else if (schema.type === 'array') {
+   } else if (hasSchemaType(schema,'array')) {
       setSchemaRequiredArray(schema.items);
    } else {
       delete schema.required;
    }
 }
 
+// Determine if a schema is of 'type'; the type of an optional element is an array of its type and "null"
+function hasSchemaType(schema,type) {
+   return schema.type === type || (isArray(schema.type) && schema.type.includes(type));
+}
+
 function getDocInfo(str,defaultType,vars) {
    defaultType = defaultType || 'string';
    if (vars) {
@@ -2102,39 +4213,43 @@ function getVarCombinationsRecurse(varsArray,names) {
  * Perform variable substitution
  * @param toResolve A string with "$var" form variables
  * @param vars The values of the variable names to use in substitution
+ * @param secretVars The names of the secret variables, whose values are added to the secrets redacted by the logger
  * This keeps resolving until there is no change.  This is not efficient but is easy to implement.
  * @returns
  */
-function resolve(toResolve,vars) {
-   var val1 = resolve2(toResolve,vars);
+function resolve(toResolve,vars,secretVars) {
+   var val1 = resolve2(toResolve,vars,secretVars);
    for (var count = 1; count < 50; count++) {
-      var val2 = resolve2(val1,vars);
+      var val2 = resolve2(val1,vars,secretVars);
       if (lodash.isEqual(val1,val2)) return val1;
       val1 = val2;
    }
    throw Error(util.format("unable to fully resolve variables in: %s",val1));
 }
 
-function resolve2(toResolve,vars) {
+function resolve2(toResolve,vars,secretVars) {
    if (!toResolve || !vars) return toResolve;
    if (isString(toResolve)) {
       toResolve = resolveStr(toResolve,function(varName) {
          var val = vars[varName];
          if (val === undefined) throw Error(util.format("variable '%s' is not defined",varName));
-         return vars[varName];
+         // The value of a transform whose input was not known at compile time is computed now
+         if (isTransform(val)) val = applyTransform(val,resolve(getTransformInput(val),vars,secretVars));
+         if (secretVars && secretVars.includes(varName)) log.addSecret(val);
+         return val;
       });
       return toResolve;
    } else if (isArray(toResolve)) {
       var list = [];
       toResolve.forEach(function(ele) {
-         list.push(resolve2(ele,vars));
+         list.push(resolve2(ele,vars,secretVars));
       });
       return list;
    } else if (isObject(toResolve)) {
       var obj = {};
       forAll(toResolve,function(key,val) {
-         key = resolve2(key,vars);
-         val = resolve2(val,vars);
+         key = resolve2(key,vars,secretVars);
+         val = resolve2(val,vars,secretVars);
          obj[key] = val;
       });
       return obj;
@@ -2154,6 +4269,48 @@ function resolveStr(str,resolverFcn) {
    return str;
 }
 
+/*
+ * Get a value from 'obj' corresponding to 'path', which is either:
+ * 1) a simple path as supported by getVal, or
+ * 2) a JMESPath expression (see http://jmespath.org), which is recognized by the use of any
+ *    character not found in a simple path such as a filter expression or pipe.
+ *    Variables in the expression are replaced by their values before it is evaluated.
+ * For example, the following returns the guid of the resource whose name is the value of $appName:
+ *   getPathVal(body, "resources[?entity.name == '$appName'].metadata.guid | [0]", vars)
+ */
+function getPathVal(obj,path,vars) {
+   if (!isQueryPath(path)) return getVal(obj,path);
+   var expr = resolveQueryPath(path,vars);
+   var val;
+   try {
+      val = jmespath.search(obj,expr);
+   } catch (err) {
+      throw Error(util.format("invalid path expression '%s': %s",expr,err.message));
+   }
+   if (val === null || val === undefined || (isArray(val) && val.length === 0)) {
+      throw Error(util.format("'%s' was not found in %s",expr,pretty(obj)));
+   }
+   return val;
+}
+
+/*
+ * Replace the variables of the JMESPath expression 'path' by their values.  A string literal which contains variables,
+ * such as '$appName', is replaced by a JSON literal of its value so that a quote in the value can't end the literal.
+ */
+function resolveQueryPath(path,vars) {
+   path = path.replace(/'((?:\\.|[^'\\])*)'/g,function(literal,str) {
+      if (getVarNames(str).length === 0) return literal;
+      var val = resolve(str.replace(/\\(['\\])/g,'$1'),vars);
+      return '`' + JSON.stringify(val).replace(/`/g,'\\u0060') + '`';
+   });
+   return resolve(path,vars);
+}
+
+// Determine if a path is a JMESPath expression rather than a simple path
+function isQueryPath(path) {
+   return /[?|=!<>&@'"`(){}*,:]/.test(path);
+}
+
 /*
  * Get a value from 'obj' corresponding to the path identified by 'str'.
  * For example, the following returns "foo":
@@ -2244,7 +4401,7 @@ function getVarValue(name,vars) {
          var varStr = matches[i];
          var varName = normalizeVar(varStr);
          var varVal = getVarValue(varName,vars);
-         if (varVal) val = val.replace(varStr,varVal);
+         if (varVal && !isTransform(varVal)) val = val.replace(varStr,varVal);
       }
       return val;
    } else if (isArray(val)) {
@@ -2260,12 +4417,13 @@ function getVarValue(name,vars) {
          }
       });
       return list;
-   } else if (isObject(val) && val.base64Encode) {
-      var toEncode = getVarValueStr(val.base64Encode,vars);
-      if (getVarNames(toEncode).length > 0) {
+   } else if (isTransform(val)) {
+      // If an input of the transform is not known until run time, then neither is its value
+      var input = getVarValueInput(getTransformInput(val),vars);
+      if (getVarNames(input).length > 0) {
          return val;
       }
-      return base64Encode(toEncode);
+      return applyTransform(val,input);
    } else {
       throw Error(util.format("unsupported type for %j",val));
    }
@@ -2277,11 +4435,29 @@ function getVarValueStr(str,vars) {
       var varStr = matches[i];
       var varName = normalizeVar(varStr);
       var varVal = getVarValue(varName,vars);
-      if (varVal) str = str.replace(varStr,varVal);
+      if (varVal && !isTransform(varVal)) str = str.replace(varStr,varVal);
    }
    return str;
 }
 
+// Replace the variables in the strings of a transform's input with their compile time values
+function getVarValueInput(input,vars) {
+   if (isString(input)) {
+      return getVarValueStr(input,vars);
+   } else if (isArray(input)) {
+      return input.map(function(ele) {
+         return getVarValueInput(ele,vars);
+      });
+   } else if (isObject(input)) {
+      var obj = {};
+      forAll(input,function(key,val) {
+         obj[key] = getVarValueInput(val,vars);
+      });
+      return obj;
+   }
+   return input;
+}
+
 /*
  * Given an object 'obj', return a new object with the variables in it replaced by the
  * values found in 'vars'.
@@ -2290,12 +4466,355 @@ function getObjectWithVarsReplaced(obj,vars) {
    obj = JSON.stringify(obj);
    for (var name in vars) {
       var val = vars[name];
-      if (val) obj = obj.replace('$'+name,val);
+      // A transform whose value is computed at run time is left for resolve
+      if (val && !isTransform(val)) obj = obj.replace('$'+name,val);
    }
    obj = JSON.parse(obj);
    return obj;
 }
 
+// Determine if a field of a 'multipart' request is a file part
+function isFilePart(val) {
+   return isObject(val) && isString(val.file);
+}
+
+// Format the steps of a dependency chain; each step is an API and a variable it consumes
+function formatDependencyChain(steps) {
+   return steps.map(function(step) {
+      return util.format("%s (consumes '%s')",step.api.name,step.varName);
+   }).join(' -> ');
+}
+
+// Replace each error of a value which matches none of the 'anyOf' schemas by the errors of the alternatives which
+// found a problem in a field within the value, since those are closer to the mistake
+function getSchemaErrors(errors) {
+   var result = [];
+   errors.forEach(function(err) {
+      var deeper = (err.subErrors || []).filter(function(subErr) { return subErr.dataPath.length > err.dataPath.length; });
+      if (deeper.length > 0) {
+         result = result.concat(getSchemaErrors(deeper));
+      } else if (err.subErrors) {
+         var messages = err.subErrors.map(function(subErr) { return subErr.message; });
+         result.push({ dataPath: err.dataPath, message: err.message + ': ' + messages.join('; ') });
+      } else {
+         result.push(err);
+      }
+   });
+   return result;
+}
+
+// Convert the JSON pointer of a field in 'obj', such as '/responses/200/actions/0', to a path such as 'responses.200.actions[0]'
+function getFieldPath(obj,pointer) {
+   var field = '';
+   pointer.split('/').slice(1).forEach(function(key) {
+      key = key.replace(/~1/g,'/').replace(/~0/g,'~');
+      if (isArray(obj)) field += '[' + key + ']';
+      else field += (field ? '.' : '') + key;
+      obj = isObject(obj) ? obj[key] : undefined;
+   });
+   return field;
+}
+
+// Get the names of the APIs which are referenced by name in a hook (see Api.scanHook)
+function getHookApiNames(hook) {
+   if (isString(hook)) return [hook];
+   if (isArray(hook)) return common.flatten(hook.map(getHookApiNames));
+   if (isObject(hook) && !common.isFunction(hook)) return getHookApiNames(hook.hook);
+   return [];
+}
+
+// Add a lint problem to 'problems' unless it is already there, as when several tests of an API share a hook
+function addLintProblem(problems,file,path,message) {
+   var problem = { file: file || '', path: path || '', message: message };
+   if (!common.some(problems,problem)) problems.push(problem);
+}
+
+/*
+ * For a dry run, set each variable in 'names' which is not known until run time to a placeholder such as '<appGuid>',
+ * as well as the variables referenced by their values.  A transform of a value which is not known is not known either.
+ */
+function setPlaceholders(vars,names,seen) {
+   names.forEach(function(name) {
+      if (seen.includes(name)) return;
+      seen.push(name);
+      var val = vars[name];
+      if (val === undefined) {
+         vars[name] = getPlaceholder(name);
+         return;
+      }
+      var refs = getVarNames(isTransform(val) ? getTransformInput(val) : val);
+      setPlaceholders(vars,refs,seen);
+      var unknown = refs.some(function(ref) { return vars[ref] === getPlaceholder(ref); });
+      if (isTransform(val) && unknown) vars[name] = getPlaceholder(name);
+   });
+}
+
+function getPlaceholder(name) {
+   return '<' + name + '>';
+}
+
+// Get the actual name of the 'name' header in 'headers', ignoring case
+function getHeaderName(headers,name) {
+   name = name.toLowerCase();
+   for (var key in headers) {
+      if (key.toLowerCase() === name) return key;
+   }
+   return null;
+}
+
+// Get the doc schema of a response body declared by the 'xml', 'text' or 'binary' section rather than 'body'
+function getNonJsonBodySchema(response) {
+   if (response.binary) return { type: 'string', format: 'binary' };
+   return { type: 'string' };
+}
+
+function bodyToString(body) {
+   if (body === undefined || body === null) return '';
+   if (Buffer.isBuffer(body)) return body.toString('utf8');
+   return isString(body) ? body : JSON.stringify(body);
+}
+
+// Parse an XML document, throwing an error if it is not well-formed
+function parseXml(str) {
+   var errors = [];
+   var addError = function(msg) { errors.push(msg); };
+   var doc = new DOMParser({
+      errorHandler: { warning: function() {}, error: addError, fatalError: addError }
+   }).parseFromString(str,'text/xml');
+   if (errors.length > 0 || !doc || !doc.documentElement) {
+      throw Error(util.format("the response body is not valid XML: %s",errors.join('; ')));
+   }
+   return doc;
+}
+
+// Evaluate an XPath expression against an XML document.
+// If the expression selects nodes, the value of the first node is returned.
+function getXPathVal(doc,expr) {
+   var result = xpath.select(expr,doc);
+   if (!isArray(result)) return result;
+   if (result.length === 0) throw Error(util.format("'%s' was not found in the XML response",expr));
+   var node = result[0];
+   return (node.nodeValue !== null && node.nodeValue !== undefined) ? node.nodeValue : node.textContent;
+}
+
+// Check an actual value against an expected value, which is either a regular expression or a value
+// with variables.  Returns a description of the mismatch, or null if they match.
+function checkExpectedVal(actual,expected,vars) {
+   if (lodash.isRegExp(expected)) {
+      return expected.test(String(actual)) ? null : util.format("'%s' does not match %s",actual,expected);
+   }
+   expected = resolve(expected,vars);
+   return String(actual) === String(expected) ? null : util.format("'%s' does not equal '%s'",actual,expected);
+}
+
+// Determine if a var_set or var_new action has a field from which to take the variable's value
+function hasVarSource(action) {
+   if (!isObject(action)) return false;
+   for (var i = 0; i < VAR_SOURCES.length; i++) {
+      if (action.hasOwnProperty(VAR_SOURCES[i])) return true;
+   }
+   return false;
+}
+
+/*
+ * Get a value from the 'name' response header.
+ * If 'regex' is set, the value must match it, and the value of the 1st capture group (or the whole match
+ * if there is no capture group) is returned.
+ */
+function getHeaderVal(headers,name,regex) {
+   var val = headers[name.toLowerCase()];
+   if (val === undefined) throw Error(util.format("the '%s' header was not found in the response",name));
+   if (isArray(val)) val = val.join(', ');
+   return getRegexVal(val,regex,util.format("the '%s' header",name));
+}
+
+// Get the value of the 'name' cookie from the 'set-cookie' response headers
+function getCookieVal(headers,name,regex) {
+   var cookies = headers['set-cookie'] || [];
+   if (!isArray(cookies)) cookies = [cookies];
+   for (var i = 0; i < cookies.length; i++) {
+      var pair = cookies[i].split(';')[0];
+      var idx = pair.indexOf('=');
+      if (idx > 0 && pair.substring(0,idx).trim() === name) {
+         return getRegexVal(pair.substring(idx+1).trim(),regex,util.format("the '%s' cookie",name));
+      }
+   }
+   throw Error(util.format("the '%s' cookie was not found in the response",name));
+}
+
+function getRegexVal(val,regex,where) {
+   if (!regex) return val;
+   if (isString(regex)) regex = new RegExp(regex);
+   var match = regex.exec(val);
+   if (!match) throw Error(util.format("%s value '%s' does not match %s",where,val,regex));
+   return match.length > 1 ? match[1] : match[0];
+}
+
+/*
+ * Normalize the expected value of a response header, which may be:
+ * 1) a string (or number) which must equal the header value after variable substitution,
+ * 2) a regular expression which the header value must match, or
+ * 3) an object with a 'value' or 'pattern' field, and optional 'description' and 'required' fields.
+ * Returns an object with 'value', 'pattern', 'description' and 'required' fields.
+ */
+function normalizeHeaderSpec(name,spec) {
+   if (lodash.isRegExp(spec)) return { pattern: spec, required: true };
+   if (isString(spec) || common.isNumber(spec)) return { value: spec, required: true };
+   if (!isObject(spec)) {
+      throw Error(util.format("the '%s' response header must be a string, a number, a regular expression or an object",name));
+   }
+   var result = {
+      value: spec.value,
+      pattern: spec.pattern,
+      description: spec.description,
+      required: spec.hasOwnProperty('required') ? spec.required : true
+   };
+   if (isString(result.pattern)) result.pattern = new RegExp(result.pattern);
+   if (result.pattern && !lodash.isRegExp(result.pattern)) {
+      throw Error(util.format("the 'pattern' of the '%s' response header must be a string or regular expression",name));
+   }
+   return result;
+}
+
+// Validate the 'retry' rules of the API 'name' and fill in their defaults
+function normalizeRetry(retry,name) {
+   if (!retry) return null;
+   if (!isObject(retry)) throw Error(util.format("the 'retry' rules of %s must be an object",name));
+   var result = common.assign(clone(RETRY_DEFAULTS),retry);
+   if (!isArray(result.backoff)) result.backoff = [result.backoff];
+   if (!isInteger(result.attempts) || result.attempts < 1) {
+      throw Error(util.format("the 'retry' attempts of %s must be a positive integer",name));
+   }
+   if (result.backoff.length === 0 || !result.backoff.every(isNonNegativeNumber)) {
+      throw Error(util.format("the 'retry' backoff of %s must be a number of seconds or an array of them",name));
+   }
+   result.statuses = result.statuses.map(strToInt);
+   return result;
+}
+
+// Validate the 'until' poll condition of the API 'name' and fill in its defaults
+function normalizeUntil(until,name) {
+   if (!until) return null;
+   if (!isObject(until)) throw Error(util.format("the 'until' condition of %s must be an object",name));
+   var result = common.assign(clone(UNTIL_DEFAULTS),until);
+   if (result.status === undefined && result.path === undefined) {
+      throw Error(util.format("the 'until' condition of %s must have a 'status' or a 'path'",name));
+   }
+   if (result.path !== undefined && !result.hasOwnProperty('equals')) {
+      throw Error(util.format("the 'until' path of %s must have an 'equals' value",name));
+   }
+   if (!isNonNegativeNumber(result.interval) || !isNonNegativeNumber(result.timeout)) {
+      throw Error(util.format("the 'until' interval and timeout of %s must be numbers of seconds",name));
+   }
+   if (result.status !== undefined) result.status = strToInt(result.status);
+   return result;
+}
+
+// Determine if a request which failed with 'err' or returned an unexpected status is to be retried
+function isRetryable(retry,err,resp,expectedStatus) {
+   if (err) return retry.errors === true || (isArray(retry.errors) && retry.errors.includes(err.code));
+   return resp.statusCode != expectedStatus && retry.statuses.includes(resp.statusCode);
+}
+
+// Return the reason the 'until' poll condition is not met by a response, or null if it is met
+function getUnmetCondition(until,resp,body,vars) {
+   if (until.status !== undefined && resp.statusCode !== until.status) {
+      return util.format("status is not %d",until.status);
+   }
+   if (until.path === undefined) return null;
+   if (isString(body) && (resp.headers['content-type'] || '').toLowerCase().startsWith(APP_JSON)) {
+      try {
+         body = JSON.parse(body);
+      } catch (err) {
+         return "the response body is not valid JSON";
+      }
+   }
+   var actual;
+   try {
+      actual = getPathVal(body,until.path,vars);
+   } catch (err) {
+      return util.format("'%s' was not found",until.path);
+   }
+   var mismatch = checkExpectedVal(actual,until.equals,vars);
+   return mismatch ? util.format("'%s' is %s",until.path,mismatch) : null;
+}
+
+// Validate the 'pagination' of the JSON response 'res' of the API 'name' and fill in its defaults
+function normalizePagination(pagination,name,res) {
+   if (!pagination) return null;
+   if (!isObject(pagination)) throw Error(util.format("the 'pagination' of %s must be an object",name));
+   if (res.xml || res.text || res.binary) throw Error(util.format("the 'pagination' of %s requires a JSON response body",name));
+   var result = common.assign(clone(PAGINATION_DEFAULTS),pagination);
+   var modes = PAGINATION_MODES.filter(function(mode) { return !!result[mode]; });
+   if (modes.length !== 1) {
+      throw Error(util.format("the 'pagination' of %s must have exactly one of %j",name,PAGINATION_MODES));
+   }
+   if (!isInteger(result.max_pages) || result.max_pages < 1) {
+      throw Error(util.format("the 'pagination' max_pages of %s must be a positive integer",name));
+   }
+   if (result.items_path && isQueryPath(result.items_path)) {
+      throw Error(util.format("the 'pagination' items_path of %s must be a simple path rather than a JMESPath expression",name));
+   }
+   return result;
+}
+
+// Get the URL of the page which follows the page at 'pageUrl' with 'headers' and 'body', or null if it is the last page
+function getNextPageUrl(pagination,pageUrl,headers,body) {
+   var next;
+   if (pagination.next_path) {
+      try {
+         next = getPathVal(body,pagination.next_path);
+      } catch (err) {
+         return null;
+      }
+      return next ? url.resolve(pageUrl,String(next)) : null;
+   }
+   if (pagination.link_header) {
+      // A Link header such as: <https://host/apps?page=2>; rel="next", <https://host/apps?page=9>; rel="last"
+      var links = headers.link ? String(headers.link).split(',') : [];
+      for (var i = 0; i < links.length; i++) {
+         var match = links[i].match(/<([^>]*)>\s*;.*\brel="?next"?/);
+         if (match) return url.resolve(pageUrl,match[1]);
+      }
+      return null;
+   }
+   var items = getPageItems(pagination,body);
+   var parsed = url.parse(pageUrl,true);
+   var limit = strToInt(parsed.query[pagination.limit_param]) || pagination.limit;
+   if (items.length === 0 || (limit && items.length < limit)) return null;
+   parsed.query[pagination.offset_param] = (strToInt(parsed.query[pagination.offset_param]) || 0) + items.length;
+   if (limit) parsed.query[pagination.limit_param] = limit;
+   delete parsed.search;
+   return url.format(parsed);
+}
+
+// Get the array of items in a page, which is at the 'items_path' of the pagination or else is the page itself
+function getPageItems(pagination,body) {
+   var items = pagination.items_path ? getPathVal(body,pagination.items_path) : body;
+   if (!isArray(items)) {
+      throw Error(pagination.items_path ? util.format("'%s' of the page is not an array",pagination.items_path) :
+                  "the page is not an array, so the 'pagination' must have an 'items_path'");
+   }
+   return items;
+}
+
+// Combine the pages of a paginated response into one body containing all of their items, which actions search
+function combinePages(pagination,pages) {
+   if (pages.length === 1) return pages[0];
+   var items = [];
+   pages.forEach(function(page) {
+      items = items.concat(getPageItems(pagination,page));
+   });
+   if (!pagination.items_path) return items;
+   var body = clone(pages[0]);
+   common.set(body,pagination.items_path,items);
+   return body;
+}
+
+function isNonNegativeNumber(val) {
+   return typeof val === 'number' && val >= 0;
+}
+
 function checkForJsonResponse(contentType,body) {
    if (!contentType) throw Error("response body did not have a body");
    if (!contentType.startsWith(APP_JSON)) {
@@ -2413,6 +4932,93 @@ function merge(obj1, obj2, obj2HasPrecedence) {
    return obj1;
 }
 
+/*
+ * The transforms which compute the value of a variable from an input.  A variable whose value is
+ * an object with a single field named after a transform, such as { sha256: "$userName:$userPass" },
+ * has the value returned by the transform's function when passed the value of the field with its
+ * variables replaced.  The value is computed at compile time if the values of all of these variables
+ * are known then, or else at run time.  A hapi.js file may add transforms in a 'transforms' section.
+ */
+var transforms = {
+   base64Encode: function(str) {
+      return base64Encode(str);
+   },
+   uuid: function() {
+      return crypto.randomUUID();
+   },
+   // The number of milliseconds since the epoch
+   timestamp: function() {
+      return Date.now();
+   },
+   randomString: function(length) {
+      var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+      var bytes = crypto.randomBytes(strToInt(length) || 16);
+      var str = '';
+      for (var i = 0; i < bytes.length; i++) {
+         str += chars[bytes[i] % chars.length];
+      }
+      return str;
+   },
+   // The input is either [key, message] or { key: ..., message: ... }
+   hmacSha256: function(input) {
+      var key = isArray(input) ? input[0] : input.key;
+      var message = isArray(input) ? input[1] : input.message;
+      if (key === undefined || message === undefined) {
+         throw Error(util.format("hmacSha256 requires a key and a message: %j",input));
+      }
+      return crypto.createHmac('sha256',String(key)).update(String(message)).digest('hex');
+   },
+   sha256: function(str) {
+      return crypto.createHash('sha256').update(String(str)).digest('hex');
+   },
+   urlEncode: function(str) {
+      return encodeURIComponent(String(str));
+   },
+   jsonStringify: function(val) {
+      return JSON.stringify(val);
+   },
+   // The current date-time plus an optional offset such as "+1h", "-30m" or "+7d"
+   now: function(offset) {
+      return new Date(Date.now() + parseTimeOffset(offset)).toISOString();
+   }
+};
+
+// Add a transform which may compute the value of a variable
+function addTransform(name,fcn) {
+   if (!common.isFunction(fcn)) throw Error(util.format("transform '%s' is not a function",name));
+   transforms[name] = fcn;
+}
+
+// Return true if 'val' is the value of a variable which is computed by a transform
+function isTransform(val) {
+   if (!isObject(val) || isArray(val) || common.isFunction(val)) return false;
+   var keys = Object.keys(val);
+   return keys.length === 1 && transforms.hasOwnProperty(keys[0]);
+}
+
+function getTransformInput(val) {
+   return val[Object.keys(val)[0]];
+}
+
+// Call the function of the transform 'val' with 'input', in which the variables have been replaced
+function applyTransform(val,input) {
+   var name = Object.keys(val)[0];
+   try {
+      return transforms[name](input);
+   } catch (err) {
+      throw Error(util.format("transform '%s' failed for input %j: %s",name,input,err));
+   }
+}
+
+// Convert a time offset such as "+1h" to milliseconds; the units are s, m, h and d
+function parseTimeOffset(offset) {
+   if (!isString(offset) || offset === '') return 0;
+   var match = offset.match(/^([+-]?\d+)([smhd])$/);
+   if (!match) throw Error(util.format("invalid time offset '%s'; expecting a format such as '+1h' or '-30m'",offset));
+   var units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+   return parseInt(match[1],10) * units[match[2]];
+}
+
 // Convert 'data' to a base 64 encoded string (data may be a Buffer or it may be a string (if string it will be put into a buffer as utf8).
 // Uses "Safe URL format so that it can be used in URLs without extra encoding. This is called
 // modified Base64 for URL.
@@ -2428,6 +5034,7 @@ function Logger() {
    this.levels = ['error','warn','info','debug','trace'];
    this.setLevel('info');
    this.addTimeStamp = false;
+   this.secrets = [];
 }
 
 Logger.prototype.timeStamp = function () {
@@ -2441,7 +5048,53 @@ Logger.prototype._log = function(lvl,args) {
    var prefix = this.addTimeStamp ? this.timeStamp() + " " : "";
    var msg = prefix + util.format.apply(null,vals) + "";
    //if (msg === undefined || msg === 'undefined') throw Error("undefined message");
-   console.log(msg);
+   console.log(this.redact(msg));
+};
+
+/*
+ * Add a secret value, or an array of them, which is to be redacted from all log messages and reports.
+ * Each of the strings in an object, such as a JSON credential, is a secret.
+ */
+Logger.prototype.addSecret = function(val) {
+   var self = this;
+   if (isArray(val)) return val.forEach(function(ele) { self.addSecret(ele); });
+   if (isObject(val)) {
+      return common.forOwn(val,function(ele) {
+         if (isString(ele) || isObject(ele)) self.addSecret(ele);
+      });
+   }
+   if (val === undefined || val === null) return;
+   val = String(val);
+   if (val.length === 0) return;
+   // Also redact the secret where it has been escaped in JSON
+   [val,JSON.stringify(val).slice(1,-1)].forEach(function(secret) {
+      self.secrets.addUniq(secret);
+   });
+   // Replace the longest secrets first in case one contains another
+   self.secrets.sort(function(a,b) { return b.length - a.length; });
+};
+
+// Return a copy of 'val' with each secret in its strings replaced by REDACTED
+Logger.prototype.redact = function(val) {
+   var self = this;
+   if (self.secrets.length === 0) return val;
+   if (isString(val)) {
+      self.secrets.forEach(function(secret) {
+         val = val.split(secret).join(REDACTED);
+      });
+      return val;
+   } else if (isArray(val)) {
+      return val.map(function(ele) {
+         return self.redact(ele);
+      });
+   } else if (isObject(val) && !common.isFunction(val) && !Buffer.isBuffer(val)) {
+      var obj = {};
+      forAll(val,function(key,ele) {
+         obj[key] = self.redact(ele);
+      });
+      return obj;
+   }
+   return val;
 };
 
 Logger.prototype.getLevel = function() {
@@ -2510,14 +5163,18 @@ function main() {
    var argv = process.argv.slice(2);
    if (argv.length < 1) usage();
    var args = [];
-   var inDir, outDir, tests;
+   var inDir, outDir, tests, reports, concurrency, format, docTypes, env, dryRun, cassetteMode, cassetteDir, duration, rate, users;
+   var configs = [];
    var vars = {};
    // Process options and push non-options onto 'args'
    for (var i = 0; i < argv.length; i++) {
       var arg = argv[i];
       switch(arg) {
       case '-config':
-         addConfigToVars(argv[++i],vars);
+         configs.push(argv[++i]);
+         break;
+      case '-env':
+         env = argv[++i];
          break;
       case '-indir':
          inDir = argv[++i];
@@ -2536,9 +5193,47 @@ function main() {
       case '-tests':
          tests = argv[++i].split(',');
          break;
+      case '-report':
+         reports = argv[++i].split(',');
+         break;
+      case '-concurrency':
+         concurrency = argv[++i];
+         break;
+      case '-format':
+         format = argv[++i];
+         break;
+      case '-doctypes':
+         docTypes = argv[++i].split(',');
+         break;
       case '-v':
          log.setLevel('trace');
          break;
+      case '-dry-run':
+         dryRun = true;
+         break;
+      case '-duration':
+         duration = argv[++i];
+         break;
+      case '-rate':
+         rate = argv[++i];
+         break;
+      case '-users':
+         users = argv[++i];
+         break;
+      case '-record':
+      case '-replay':
+         if (cassetteMode) usage("only one of '-record' and '-replay' may be set");
+         cassetteMode = arg.substring(1);
+         cassetteDir = argv[++i];
+         if (cassetteMode === 'record' && !existsSync(cassetteDir)) {
+            try {
+               fs.mkdirSync(cassetteDir,{ recursive: true });
+            } catch (err) {
+               usage(err.message);
+            }
+         }
+         if (!isDir(cassetteDir)) usage("'"+cassetteDir+"' is not a directory");
+         break;
       default:
          if (arg.startsWith('-')) {
             usage("invalid option: "+arg);
@@ -2547,31 +5242,99 @@ function main() {
          break;
       }
    }
-   if (args.length !== 1) usage(util.format("expecting 1 argument but found %d: %j",args.length,args));
-   var cmd = args[0].toLowerCase();
+   var cmd = args.length > 0 ? args[0].toLowerCase() : '';
+   // The import commands take the file to import as a second argument
+   var numArgs = IMPORT_COMMANDS.includes(cmd) ? 2 : 1;
+   if (args.length !== numArgs) usage(util.format("expecting %d argument%s but found %d: %j",numArgs,numArgs > 1 ? 's' : '',args.length,args));
+   // Values set with '-var' take precedence over environment variables, which take precedence over config files
+   addEnvToVars(process.env,vars);
+   var envInConfig = false;
+   configs.forEach(function(config) {
+      if (addConfigToVars(config,vars,env)) envInConfig = true;
+   });
    var hapi = new Hapi(vars);
+   if (env) hapi.setEnvironment(env);
    if (inDir) hapi.setInputDir(inDir);
    if (outDir) hapi.setOutputDir(outDir);
+   if (dryRun) hapi.setDryRun(true);
+   if (cassetteMode) hapi.setCassette(cassetteMode,cassetteDir);
+   if (reports) {
+      try {
+         hapi.setReportFormats(reports);
+      } catch (err) {
+         usage(err.message);
+      }
+   }
+   try {
+      if (concurrency !== undefined) hapi.setConcurrency(concurrency);
+      if (format && cmd === 'graph') hapi.setGraphFormat(format);
+      else if (format && cmd === 'lint') hapi.setLintFormat(format);
+      else if (format) hapi.setDocFormat(format);
+      if (docTypes) hapi.setDocTypes(docTypes);
+      if (duration !== undefined) hapi.setLoadDuration(duration);
+      if (rate !== undefined) hapi.setLoadRate(rate);
+      if (users !== undefined) hapi.setLoadUsers(users);
+   } catch (err) {
+      usage(err.message);
+   }
+   // lint loads the API definitions itself so that it can report all of the problems with them
+   if (cmd === 'lint') return setExitCode(hapi.lint());
+   // The import commands write new API definitions rather than loading the existing ones
+   if (cmd === 'import-har') return setExitCode(hapi.importHar(args[1]));
+   if (cmd === 'import-swagger') return setExitCode(hapi.importSwagger(args[1]));
    hapi.loadFromDir();
-   var exitCode;
+   if (env && !envInConfig && !hapi.definesEnvironment(env)) {
+      hapi.getErrors().push(util.format("environment '%s' is not defined in a config file or an 'environments' section",env));
+   }
+   if (hapi.getErrors().length > 0) {
+      hapi.logErrors("LOAD ERRORS");
+      return setExitCode(EXIT_CODES.loadErrors);
+   }
    switch (cmd) {
    case 'gendoc':
-      exitCode = hapi.gendoc();
+      setExitCode(hapi.gendoc());
       break;
    case 'compile':
-      exitCode = hapi.compile(tests);
+      hapi.compile(tests);
+      setExitCode(hapi.getErrors().length > 0 ? EXIT_CODES.compileErrors : EXIT_CODES.ok);
+      break;
+   case 'graph':
+      setExitCode(hapi.graph(tests));
       break;
    case 'run':
       if (tests && log.isInfoEnabled()) log.info("Tests to run: %s",tests);
-      exitCode = hapi.run(tests);
+      hapi.run(tests,function(err,summary) {
+         setExitCode(err ? err.exitCode : EXIT_CODES.ok);
+      });
+      break;
+   case 'load':
+      if (tests && log.isInfoEnabled()) log.info("Tests to load: %s",tests);
+      hapi.load(tests,function(err,summary) {
+         setExitCode(err ? err.exitCode : EXIT_CODES.ok);
+      });
       break;
    default:
       usage("invalid command: "+cmd);
    }
-   return(exitCode);
 }
 
-exports.optionNames = ['tests','v', 'log', 'config', 'outdir', 'indir', 'var'];
+// Set the exit code of the process without exiting so that pending output is flushed
+function setExitCode(exitCode) {
+   process.exitCode = exitCode;
+   return exitCode;
+}
+
+// Create an error with the exit code of the process
+function exitError(msg,exitCode) {
+   var err = new Error(msg);
+   err.exitCode = exitCode;
+   return err;
+}
+
+exports.EXIT_CODES = EXIT_CODES;
+exports.addTransform = addTransform;
+
+exports.optionNames = ['tests','v', 'log', 'config', 'outdir', 'indir', 'var', 'report', 'concurrency', 'format', 'doctypes', 'env', 'dry-run', 'record', 'replay', 'duration', 'rate', 'users'];
 
 function usage(msg) {
    if (msg) console.log("ERROR: %s",msg);
@@ -2579,15 +5342,33 @@ function usage(msg) {
    console.log("USAGE: %s gendoc",prog);
    console.log("       %s compile",prog);
    console.log("       %s run",prog);
+   console.log("       %s graph",prog);
+   console.log("       %s lint",prog);
+   console.log("       %s load",prog);
+   console.log("       %s import-har <har-file>",prog);
+   console.log("       %s import-swagger <spec-file>",prog);
    console.log("Options:");
    console.log("   -indir <input-dir>         (directory containing input API definitions; default is current working directory)");
+   console.log("   -concurrency <n>           (maximum number of requests outstanding at once across all tests; default is no limit)");
    console.log("   -config <config-file>      (config file with variable values");
+   console.log("   -env <environment>         (name of the environment profile whose variable values are used)");
+   console.log("   -duration <seconds>        (number of seconds for which load runs; default is %d)",LOAD_DURATION);
+   console.log("   -dry-run                   (print the requests of the tests which run would send, without sending them)");
+   console.log("   -doctypes <types>          (comma-separated list of types of doc files written by gendoc: %s; default is json)",DOC_TYPES.join(', '));
+   console.log("   -format <format>           (format of the doc generated by gendoc: %s; default is swagger)",DOC_FORMATS.join(', '));
+   console.log("                              (format of the graphs written by graph: %s; default is dot)",graph.formats.join(', '));
+   console.log("                              (format of the problems reported by lint: %s; default is text)",LINT_FORMATS.join(', '));
    console.log("   -log <log-level>           (one of 'error','warn','info','debug','trace')");
-   console.log("   -outdir <output-dir>       (directory containing generated doc files; default is current working directory)");
+   console.log("   -rate <n>                  (number of iterations of the test tree which load starts per second)");
+   console.log("   -record <dir>              (record the requests and responses of run to cassette files in a directory)");
+   console.log("   -replay <dir>              (replay the responses recorded in a directory rather than sending requests)");
+   console.log("   -outdir <output-dir>       (directory containing generated doc and report files; default is current working directory)");
+   console.log("   -report <formats>          (comma-separated list of test report formats to write to the output directory: %s)",reporters.reporterNames.join(', '));
    console.log("   -tests <tests>             (comma-separated list of test names to run; default is to run all tests)");
+   console.log("   -users <n>                 (number of concurrent users which load runs, each running iterations one after another; default is 1)");
    console.log("   -var <name>=<value>        (set a variable name and value)");
    console.log("   -v                         (verbose; same as '-log trace')");
-   process.exit(1);
+   process.exit(EXIT_CODES.usage);
 }
 
 exports.getArgs = function (options, mccpHome) {
@@ -2604,7 +5385,7 @@ exports.getArgs = function (options, mccpHome) {
    exports.optionNames.forEach(function (o) {
       if (opts[o]) {
          args.push('-' + o);
-         if (o !== 'v') {
+         if (o !== 'v' && o !== 'dry-run') {
             args.push(opts[o]);
          }
       }
@@ -2627,13 +5408,36 @@ function addArgv(args,argv) {
    });
 }
 
-function addConfigToVars(config,vars) {
+/*
+ * Add the variable values of comma-separated config files to 'vars'.  A config file may contain an
+ * 'environments' section mapping each environment name to its variable values; the values of 'env'
+ * take precedence over the other values of the file.  Return true if a config file defines 'env'.
+ */
+function addConfigToVars(config,vars,env) {
+   var found = false;
    var configFiles = config.split(",");
    for (var i = 0; i < configFiles.length; i++) {
       var file = configFiles[i].trim();
       if (!isFile(file)) usage(util.format("file '%s' does not exist",file));
-      vars = merge(vars,require(file));
+      var values = clone(require(path.resolve(file)));
+      var environments = values.environments || {};
+      delete values.environments;
+      if (env && environments[env]) {
+         vars = merge(vars,environments[env]);
+         found = true;
+      }
+      vars = merge(vars,values);
    }
+   return found;
+}
+
+// Add the values of the environment variables whose names begin with VAR_ENV_PREFIX to 'vars'
+function addEnvToVars(env,vars) {
+   forAll(env,function(name,val) {
+      if (name.startsWith(VAR_ENV_PREFIX) && !vars.hasOwnProperty(name.substring(VAR_ENV_PREFIX.length))) {
+         vars[name.substring(VAR_ENV_PREFIX.length)] = val;
+      }
+   });
 }
 
 function addNameValToVars(nv,vars) {
@@ -2658,6 +5462,11 @@ function strToInt(str) {
    return str;
 }
 
+function strToNumber(str) {
+   if (isString(str)) return parseFloat(str);
+   return str;
+}
+
 var existsSync = common.existsSync;
 
 exports.main = main;
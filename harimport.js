@@ -0,0 +1,285 @@
+/*
+ * Import of recorded HTTP traffic for 'hapi import-har'.
+ * The entries of a HAR (HTTP Archive) file, such as one saved from the network panel of a browser, are grouped
+ * by host, method, path template and status code.  Each group becomes a draft API definition file whose
+ * responses have body schemas inferred from the recorded response bodies in the shorthand of the 'body' section.
+ * Path segments which look like ids, and the values of query parameters, are replaced by variables whose values are
+ * the first recorded ones.
+ */
+'use strict';
+
+var url = require('url');
+var util = require('util');
+var common = require(__dirname+'/common');
+var apiwriter = require(__dirname+'/apiwriter');
+
+var UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+// The names of query parameters whose values are credentials, which are not written to the drafts
+var SECRET_PARM_REGEX = /token|secret|password|passwd|signature|auth|api[_-]?key|^key$/i;
+
+/*
+ * Add the APIs of the HAR document 'har' to the ApiWriter 'writer'.
+ * Return the number of APIs added.
+ * Entries without a response, such as requests blocked by the browser, and entries whose URLs are not http or https,
+ * such as data URLs, are skipped.
+ */
+function importHar(har,writer) {
+   var entries = har && har.log && har.log.entries;
+   if (!common.isArray(entries)) throw Error("not a HAR file: there is no 'log.entries' array");
+   var groups = {};
+   entries.forEach(function(entry,index) {
+      if (!entry.request || !entry.response) throw Error(util.format("HAR entry %d does not have a request and a response",index));
+      if (!entry.response.status) return;
+      var parsed = url.parse(entry.request.url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return;
+      var hostUrl = parsed.protocol + '//' + parsed.host;
+      var vhost = writer.addVirtualHost(parsed.hostname.split('.')[0],hostUrl,getSwaggerHeader(parsed));
+      var template = getPathTemplate(parsed.pathname || '/');
+      var method = entry.request.method.toUpperCase();
+      var key = [vhost,template.path,method].join(' ');
+      if (!groups[key]) {
+         var query = getQueryTemplate(parsed.query,template.vars.map(function(v) { return v.name; }));
+         groups[key] = { vhost: vhost, method: method, path: template.path, query: query.query, entries: [] };
+         template.vars.forEach(function(v) {
+            writer.addVariable(v.name,{ description: util.format("The id which follows '%s' in the path; the value is the first one recorded",v.noun), value: v.value });
+         });
+         query.vars.forEach(function(v) {
+            writer.addVariable(v.name,v.secret ?
+               { description: util.format("The value of the '%s' query parameter; set it with '-var' or a config file",v.parm), secret: true } :
+               { description: util.format("The value of the '%s' query parameter; the value is the first one recorded",v.parm), value: v.value });
+         });
+      }
+      groups[key].entries.push(entry);
+   });
+   var keys = Object.keys(groups).sort();
+   keys.forEach(function(key) {
+      var group = groups[key];
+      var api = getApi(group,writer);
+      writer.addApi(group.vhost,apiwriter.getApiName(group.method,group.path),api);
+   });
+   return keys.length;
+}
+
+// Get the draft API definition for a group of entries with the same host, method and path template
+function getApi(group,writer) {
+   var first = group.entries[0].request;
+   var request = { method: group.method, path: group.path + group.query };
+   if (getHeader(first.headers,'authorization')) {
+      request.headers = { authorization: '$authorization' };
+      writer.addVariable('authorization',{ description: "The value of the authorization header; set it with '-var' or a config file", secret: true });
+   }
+   var postData = getPostData(group.entries);
+   if (postData) {
+      var mimeType = getMediaType(postData.mimeType);
+      if (mimeType === apiwriter.FORM_URLENCODED && postData.params) {
+         request.form = {};
+         postData.params.forEach(function(param) {
+            request.form[param.name] = param.value;
+         });
+      } else if (mimeType.endsWith('json')) {
+         request.body = getRequestBody(parseJson(postData.text));
+      }
+   }
+   var segments = group.path.split('/').filter(function(segment) { return segment && !segment.startsWith('$'); });
+   var api = {
+      description: util.format("%s %s",group.method,group.path),
+      tags: [segments.length > 0 ? segments[segments.length - 1] : group.vhost],
+      request: request,
+      responses: {}
+   };
+   var byStatus = common.groupBy(group.entries,function(entry) { return entry.response.status; });
+   common.forOwn(byStatus,function(entries,status) {
+      api.responses[status] = getResponse(entries);
+   });
+   return api;
+}
+
+// Get the draft response definition for the entries with the same status code
+function getResponse(entries) {
+   var first = entries[0].response;
+   var response = { description: first.statusText || util.format("The %d response",first.status) };
+   var content = first.content || {};
+   var mimeType = getMediaType(content.mimeType);
+   var texts = entries.map(function(entry) { return getContentText(entry.response.content); });
+   if (!texts.some(function(text) { return text.length > 0; })) return response;
+   if (mimeType.endsWith('json')) {
+      var samples = texts.filter(function(text) { return text.length > 0; }).map(parseJson).filter(function(sample) {
+         return sample !== undefined;
+      });
+      if (samples.length > 0) {
+         var bodymd = {};
+         response.body = infer(samples,'body','',bodymd);
+         if (Object.keys(bodymd).length > 0) response.bodymd = bodymd;
+         return response;
+      }
+   }
+   response.content_type = mimeType || 'application/octet-stream';
+   response.ignore_body = true;
+   return response;
+}
+
+/*
+ * Get the draft of a recorded request body, in which only the first item of each array is kept, as the 'body'
+ * of a request documents an array by a single item.
+ */
+function getRequestBody(val) {
+   if (common.isArray(val)) return val.length > 0 ? [getRequestBody(val[0])] : val;
+   if (common.isPlainObject(val)) return common.mapValues(val,getRequestBody);
+   return val;
+}
+
+/*
+ * Infer the 'body' shorthand of a field from the values it has in each sample, adding the JSON schema of fields
+ * which the shorthand can't express to 'bodymd' under the path of the field.
+ * A field which is missing or null in any sample is optional.
+ */
+function infer(values,name,fieldPath,bodymd) {
+   var present = values.filter(function(val) { return val !== undefined && val !== null; });
+   var optional = present.length < values.length;
+   if (present.length === 0) return apiwriter.shorthand([],name,true);
+   if (present.every(common.isArray)) {
+      var items = common.flatten(present);
+      if (items.length === 0) return apiwriter.shorthand(['a'],name,optional);
+      var flag = apiwriter.getArrayFlag(getSimpleType(items));
+      if (flag) return apiwriter.shorthand([flag],name,optional);
+      if (items.every(common.isPlainObject)) {
+         if (optional) bodymd[fieldPath] = apiwriter.getTypeMd('array',true);
+         return [inferObject(items,fieldPath + '[0]',bodymd)];
+      }
+      return apiwriter.shorthand(['a'],name,optional);
+   }
+   if (present.every(common.isPlainObject)) {
+      if (!present.some(function(obj) { return Object.keys(obj).length > 0; })) {
+         return apiwriter.shorthand(['o'],name,optional);
+      }
+      if (optional) bodymd[fieldPath] = apiwriter.getTypeMd('object',true);
+      return inferObject(present,fieldPath,bodymd);
+   }
+   if (present.every(common.isBoolean)) return apiwriter.shorthand(['b'],name,optional);
+   if (present.every(common.isInteger)) return apiwriter.shorthand(['i'],name,optional);
+   if (present.every(common.isNumber)) {
+      bodymd[fieldPath] = apiwriter.getTypeMd('number',optional);
+      return name;
+   }
+   if (present.every(common.isString)) {
+      if (present.every(function(str) { return DATE_TIME_REGEX.test(str); })) return apiwriter.shorthand(['dts'],name,optional);
+      return apiwriter.shorthand([],name,optional);
+   }
+   // The values have different types
+   return apiwriter.shorthand(['ign'],name);
+}
+
+// Infer the shorthand of an object from its samples; a field is optional unless it is in every sample
+function inferObject(samples,objPath,bodymd) {
+   var obj = {};
+   var names = common.uniq(common.flatten(samples.map(Object.keys)));
+   names.filter(function(name) { return name !== '__' && name !== '*'; }).forEach(function(name) {
+      var values = samples.map(function(sample) { return sample[name]; });
+      obj[name] = infer(values,name,objPath ? objPath + '.' + name : name,bodymd);
+   });
+   return obj;
+}
+
+// Get the JSON schema type of 'values' if they all have the same simple type, or undefined
+function getSimpleType(values) {
+   if (values.every(common.isString)) return 'string';
+   if (values.every(common.isInteger)) return 'integer';
+   if (values.every(common.isBoolean)) return 'boolean';
+   return undefined;
+}
+
+/*
+ * Get the template of the URL path 'pathname', in which the segments which look like ids are replaced by
+ * variables, and the variables with their recorded values.
+ */
+function getPathTemplate(pathname) {
+   var vars = [];
+   var segments = pathname.split('/');
+   var names = [];
+   var template = segments.map(function(segment,index) {
+      var value = decodeURIComponent(segment);
+      if (!isIdLike(value)) return segment;
+      var noun = index > 0 ? segments[index - 1] : '';
+      var name = apiwriter.getIdVarName(noun,names);
+      names.push(name);
+      vars.push({ name: name, value: value, noun: segments.slice(0,index).join('/') + '/' });
+      return '$' + name;
+   }).join('/');
+   return { path: template, vars: vars };
+}
+
+/*
+ * Get the template of the URL query 'query', in which the value of each parameter is replaced by a variable, and the
+ * variables with their recorded values, which are URL encoded.  'used' are the names of the variables of the path.
+ */
+function getQueryTemplate(query,used) {
+   var vars = [];
+   if (!query) return { query: '', vars: vars };
+   var names = used.slice();
+   var template = query.split('&').map(function(parm) {
+      var idx = parm.indexOf('=');
+      if (idx < 0 || idx === parm.length - 1) return parm;
+      var parmName = decodeURIComponent(parm.slice(0,idx));
+      var name = apiwriter.getIdentifier(parmName) || 'parm';
+      var unique = name;
+      for (var i = 2; names.includes(unique); i++) {
+         unique = name + i;
+      }
+      names.push(unique);
+      vars.push({ name: unique, parm: parmName, value: parm.slice(idx + 1), secret: SECRET_PARM_REGEX.test(parmName) });
+      return parm.slice(0,idx + 1) + '$' + unique;
+   }).join('&');
+   return { query: '?' + template, vars: vars };
+}
+
+// Determine if a path segment looks like an id: a number, a UUID, or a long token of hex digits or mixed characters
+function isIdLike(segment) {
+   if (/^\d+$/.test(segment) || UUID_REGEX.test(segment)) return true;
+   if (/^[0-9a-f]{16,}$/i.test(segment)) return true;
+   return segment.length >= 20 && /\d/.test(segment) && /^[A-Za-z0-9_-]+$/.test(segment);
+}
+
+// Get the swagger 2.0 header of the virtual host with the parsed URL 'parsed'
+function getSwaggerHeader(parsed) {
+   return {
+      swagger: '2.0',
+      info: { version: '1.0.0', title: parsed.hostname, description: util.format("The APIs of %s",parsed.host) },
+      schemes: [parsed.protocol.replace(':','')],
+      consumes: [apiwriter.APP_JSON],
+      produces: [apiwriter.APP_JSON]
+   };
+}
+
+// Get the first request body of the entries, if any
+function getPostData(entries) {
+   for (var i = 0; i < entries.length; i++) {
+      var postData = entries[i].request.postData;
+      if (postData && (postData.text || postData.params)) return postData;
+   }
+   return null;
+}
+
+function getContentText(content) {
+   if (!content || !content.text) return '';
+   return content.encoding === 'base64' ? Buffer.from(content.text,'base64').toString('utf8') : content.text;
+}
+
+function getHeader(headers,name) {
+   var header = common.find(headers || [],function(h) { return h.name.toLowerCase() === name; });
+   return header ? header.value : undefined;
+}
+
+function getMediaType(mimeType) {
+   return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+function parseJson(text) {
+   try {
+      return JSON.parse(text);
+   } catch (err) {
+      return undefined;
+   }
+}
+
+exports.importHar = importHar;
@@ -0,0 +1,250 @@
+/*
+ * Static HTML API reference generation for gendoc.
+ * Renders the swagger 2.0 or OpenAPI 3.0 document of a virtual host as a single
+ * self-contained HTML page with the operations grouped by tag.  The page has no
+ * scripts or external resources so that it can be viewed offline or from a file share.
+ */
+'use strict';
+
+var util = require('util');
+var common = require(__dirname+'/common');
+
+var METHODS = ['get','put','post','delete','options','head','patch'];
+
+// The styles of the page which the other HTML reports share
+var PAGE_STYLE = [
+   'body { font-family: Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1100px; padding: 0 20px 40px; color: #222; }',
+   'h1 { border-bottom: 2px solid #444; padding-bottom: 8px; }',
+   'table { border-collapse: collapse; width: 100%; margin: 8px 0; }',
+   'th { background: #f4f4f4; }'
+];
+
+var STYLE = PAGE_STYLE.concat([
+   'h2 { margin-top: 40px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }',
+   'nav ul { list-style: none; padding-left: 0; }',
+   'nav ul ul { padding-left: 20px; }',
+   'a { color: #0b5394; text-decoration: none; }',
+   '.op { border: 1px solid #ddd; border-radius: 4px; margin: 16px 0; padding: 8px 16px; }',
+   '.method { display: inline-block; min-width: 60px; padding: 2px 6px; border-radius: 3px; color: #fff; font-weight: bold; text-align: center; text-transform: uppercase; }',
+   '.get { background: #2b7bb9; } .post { background: #3b9c3b; } .put { background: #c68a00; } .delete { background: #c0392b; } .patch { background: #7d3c98; } .head, .options { background: #666; }',
+   '.path { font-family: monospace; font-size: 1.1em; margin-left: 8px; }',
+   'th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }',
+   'code { font-family: monospace; }',
+   '.schema ul { list-style: none; padding-left: 20px; margin: 0; }',
+   '.schema > ul { padding-left: 0; }',
+   '.type { color: #666; font-family: monospace; }',
+   '.opt { color: #999; font-style: italic; }'
+]).join('\n');
+
+/*
+ * Render 'doc' as an HTML page.
+ * 'variables' maps the name of each variable used by the APIs to its description.
+ */
+function render(doc,variables) {
+   var info = doc.info || {};
+   var title = info.title || 'API Reference';
+   var groups = groupByTag(doc);
+   var html = [];
+   html.push('<!DOCTYPE html>');
+   html.push('<html>');
+   html.push('<head>');
+   html.push('<meta charset="utf-8">');
+   html.push(util.format('<title>%s</title>',common.escape(title)));
+   html.push(util.format('<style>\n%s\n</style>',STYLE));
+   html.push('</head>');
+   html.push('<body>');
+   html.push(util.format('<h1>%s</h1>',common.escape(title)));
+   if (info.version) html.push(util.format('<p>Version %s</p>',common.escape(info.version)));
+   if (info.description) html.push(util.format('<p>%s</p>',common.escape(info.description)));
+   renderToc(groups,variables,html);
+   groups.forEach(function(group) {
+      html.push(util.format('<h2 id="%s">%s</h2>',anchor('tag',group.name),common.escape(group.name)));
+      if (group.description) html.push(util.format('<p>%s</p>',common.escape(group.description)));
+      group.ops.forEach(function(op) {
+         renderOperation(doc,op,html);
+      });
+   });
+   renderVariables(variables,html);
+   html.push('</body>');
+   html.push('</html>');
+   return html.join('\n') + '\n';
+}
+
+// Return the operations of 'doc' grouped by tag, in the order the tags are declared
+function groupByTag(doc) {
+   var groups = [];
+   var byName = {};
+   function getGroup(name,description) {
+      if (!byName[name]) {
+         byName[name] = { name: name, description: description, ops: [] };
+         groups.push(byName[name]);
+      }
+      return byName[name];
+   }
+   (doc.tags || []).forEach(function(tag) {
+      getGroup(tag.name,tag.description);
+   });
+   common.forOwn(doc.paths || {},function(pathItem,path) {
+      METHODS.forEach(function(method) {
+         var op = pathItem[method];
+         if (!op) return;
+         var tags = (op.tags && op.tags.length > 0) ? op.tags : ['Other'];
+         tags.forEach(function(tag) {
+            getGroup(tag).ops.push({ method: method, path: path, op: op });
+         });
+      });
+   });
+   return groups.filter(function(group) {
+      return group.ops.length > 0;
+   });
+}
+
+function renderToc(groups,variables,html) {
+   html.push('<nav><ul>');
+   groups.forEach(function(group) {
+      html.push(util.format('<li><a href="#%s">%s</a><ul>',anchor('tag',group.name),common.escape(group.name)));
+      group.ops.forEach(function(op) {
+         html.push(util.format('<li><a href="#%s"><span class="method %s">%s</span><span class="path">%s</span></a></li>',
+                   anchor(op.method,op.path),op.method,op.method,common.escape(op.path)));
+      });
+      html.push('</ul></li>');
+   });
+   if (Object.keys(variables || {}).length > 0) {
+      html.push('<li><a href="#variables">Variables</a></li>');
+   }
+   html.push('</ul></nav>');
+}
+
+function renderOperation(doc,entry,html) {
+   var op = entry.op;
+   html.push(util.format('<div class="op" id="%s">',anchor(entry.method,entry.path)));
+   html.push(util.format('<h3><span class="method %s">%s</span><span class="path">%s</span></h3>',
+             entry.method,entry.method,common.escape(entry.path)));
+   if (op.description) html.push(util.format('<p>%s</p>',common.escape(op.description)));
+   var parms = (op.parameters || []).filter(function(parm) { return parm.in !== 'body'; });
+   if (parms.length > 0) {
+      html.push('<h4>Parameters</h4>');
+      html.push('<table><tr><th>Name</th><th>In</th><th>Type</th><th>Required</th><th>Description</th></tr>');
+      parms.forEach(function(parm) {
+         var type = parm.type || (parm.schema && parm.schema.type);
+         html.push(util.format('<tr><td><code>%s</code></td><td>%s</td><td class="type">%s</td><td>%s</td><td>%s</td></tr>',
+                   common.escape(parm.name),common.escape(parm.in),common.escape(type),parm.required ? 'yes' : 'no',common.escape(parm.description)));
+      });
+      html.push('</table>');
+   }
+   var body = getRequestBodySchema(op);
+   if (body) {
+      html.push('<h4>Request body</h4>');
+      renderSchema(doc,body,html);
+   }
+   html.push('<h4>Responses</h4>');
+   html.push('<table><tr><th>Status</th><th>Description</th><th>Body</th></tr>');
+   common.forOwn(op.responses || {},function(response,status) {
+      html.push(util.format('<tr><td>%s</td><td>%s</td><td>',common.escape(status),common.escape(response.description)));
+      var schema = getResponseSchema(response);
+      if (schema) renderSchema(doc,schema,html);
+      html.push('</td></tr>');
+   });
+   html.push('</table>');
+   html.push('</div>');
+}
+
+// Get the request body schema of a swagger 2.0 or OpenAPI 3.0 operation
+function getRequestBodySchema(op) {
+   if (op.requestBody) return getContentSchema(op.requestBody.content);
+   var parms = (op.parameters || []).filter(function(parm) { return parm.in === 'body'; });
+   return parms.length > 0 ? parms[0].schema : null;
+}
+
+// Get the body schema of a swagger 2.0 or OpenAPI 3.0 response
+function getResponseSchema(response) {
+   return response.schema || getContentSchema(response.content);
+}
+
+function getContentSchema(content) {
+   if (!content) return null;
+   var types = Object.keys(content);
+   return types.length > 0 ? content[types[0]].schema : null;
+}
+
+function renderSchema(doc,schema,html) {
+   html.push('<div class="schema"><ul>');
+   renderSchemaItem(doc,null,schema,true,html,[]);
+   html.push('</ul></div>');
+}
+
+function renderSchemaItem(doc,name,schema,required,html,seen) {
+   schema = resolveRef(doc,schema);
+   if (!schema) return;
+   var type = getType(schema);
+   var label = name ? util.format('<code>%s</code> ',common.escape(name)) : '';
+   var opt = required ? '' : ' <span class="opt">optional</span>';
+   var desc = schema.description ? ' - ' + common.escape(schema.description) : '';
+   html.push(util.format('<li>%s<span class="type">%s</span>%s%s',label,common.escape(type),opt,desc));
+   if (seen.indexOf(schema) < 0) {
+      seen = seen.concat([schema]);
+      var requiredList = common.isArray(schema.required) ? schema.required : [];
+      if (schema.properties) {
+         html.push('<ul>');
+         common.forOwn(schema.properties,function(prop,propName) {
+            renderSchemaItem(doc,propName,prop,requiredList.indexOf(propName) >= 0,html,seen);
+         });
+         html.push('</ul>');
+      }
+      var additional = schema.additionalProperties ||
+                       (schema.patternProperties && common.values(schema.patternProperties)[0]);
+      if (common.isObject(additional)) {
+         html.push('<ul>');
+         renderSchemaItem(doc,'*',additional,true,html,seen);
+         html.push('</ul>');
+      }
+      if (schema.items) {
+         html.push('<ul>');
+         renderSchemaItem(doc,'[]',schema.items,true,html,seen);
+         html.push('</ul>');
+      }
+   }
+   html.push('</li>');
+}
+
+// Resolve a local reference to a swagger 2.0 definition or an OpenAPI 3.0 component schema
+function resolveRef(doc,schema) {
+   if (!schema || !schema.$ref) return schema;
+   var parts = schema.$ref.replace(/^#\//,'').split('/');
+   var result = doc;
+   for (var i = 0; result && i < parts.length; i++) {
+      result = result[parts[i]];
+   }
+   return result;
+}
+
+function getType(schema) {
+   var type = schema.type;
+   if (common.isArray(type)) {
+      type = type.filter(function(t) { return t !== 'null'; }).join('|');
+   }
+   if (!type) type = schema.properties ? 'object' : 'any';
+   if (type === 'array' && schema.items && schema.items.type && !common.isArray(schema.items.type)) {
+      type = schema.items.type + '[]';
+   }
+   if (schema.format && schema.format !== 'format_ignore') type += ' (' + schema.format + ')';
+   return type;
+}
+
+function renderVariables(variables,html) {
+   var names = Object.keys(variables || {}).sort();
+   if (names.length === 0) return;
+   html.push('<h2 id="variables">Variables</h2>');
+   html.push('<table><tr><th>Name</th><th>Description</th></tr>');
+   names.forEach(function(name) {
+      html.push(util.format('<tr><td><code>%s</code></td><td>%s</td></tr>',common.escape(name),common.escape(variables[name])));
+   });
+   html.push('</table>');
+}
+
+function anchor(prefix,str) {
+   return (prefix + '-' + str).replace(/[^a-zA-Z0-9\-_]/g,'_');
+}
+
+exports.render = render;
+exports.PAGE_STYLE = PAGE_STYLE;
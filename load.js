@@ -0,0 +1,175 @@
+/*
+ * Load test statistics and reports for 'hapi load'.
+ * While a load test runs, the RunContext adds an entry to a LoadStats object each time a test passes or
+ * fails, just as it does to the TestResults of 'hapi run'.  Only the status and duration of each entry are
+ * kept.  When the load test is complete, the summary of each API is written as JSON and as an HTML page.
+ */
+'use strict';
+
+var util = require('util');
+var common = require(__dirname+'/common');
+var htmldoc = require(__dirname+'/htmldoc');
+
+// The latency percentiles which are reported
+var PERCENTILES = [50, 90, 95, 99];
+
+var STYLE = htmldoc.PAGE_STYLE.concat([
+   'th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; }',
+   'td.name, th.name { text-align: left; font-family: monospace; }',
+   'tr.total td { font-weight: bold; }',
+   '.errors { color: #c0392b; }'
+]).join('\n');
+
+/*
+ * The statistics of a load test.  'settings' are the duration in seconds and either the rate at
+ * which iterations are started per second or the number of concurrent users.
+ */
+function LoadStats(settings,environment) {
+   this.settings = settings;
+   this.environment = environment || null;
+   this.apis = {};
+   this.iterations = 0;
+   this.startTime = new Date();
+   this.endTime = null;
+}
+
+// Add the result of a test; an entry has the fields of an entry of reporters.TestResults
+LoadStats.prototype.add = function(entry) {
+   if (entry.status === 'skipped') return;
+   var api = this.apis[entry.api];
+   if (!api) api = this.apis[entry.api] = { requests: 0, errors: 0, latencies: [] };
+   api.requests++;
+   if (entry.status === 'failed') api.errors++;
+   api.latencies.push(entry.duration);
+};
+
+// Count an iteration of the test tree which has been started
+LoadStats.prototype.addIteration = function() {
+   this.iterations++;
+};
+
+LoadStats.prototype.end = function() {
+   this.endTime = new Date();
+};
+
+/*
+ * Return the summary of the load test: the settings, the number of iterations, the elapsed seconds,
+ * and the totals and statistics of each API.  Throughput is in requests per second and latencies
+ * are in milliseconds.
+ */
+LoadStats.prototype.getSummary = function() {
+   var self = this;
+   var elapsed = ((self.endTime || new Date()) - self.startTime) / 1000;
+   var all = { requests: 0, errors: 0, latencies: [] };
+   var apis = Object.keys(self.apis).sort().map(function(name) {
+      var api = self.apis[name];
+      all.requests += api.requests;
+      all.errors += api.errors;
+      all.latencies = all.latencies.concat(api.latencies);
+      return getApiSummary(name,api,elapsed);
+   });
+   return {
+      startTime: self.startTime.toISOString(),
+      environment: self.environment,
+      settings: self.settings,
+      elapsed: round(elapsed),
+      iterations: self.iterations,
+      total: getApiSummary('total',all,elapsed),
+      apis: apis
+   };
+};
+
+function getApiSummary(name,api,elapsed) {
+   var sorted = api.latencies.slice().sort(function(a,b) { return a - b; });
+   var latency = {
+      min: sorted.length > 0 ? sorted[0] : 0,
+      mean: sorted.length > 0 ? round(common.sum(sorted) / sorted.length) : 0,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+   };
+   PERCENTILES.forEach(function(p) {
+      latency['p' + p] = percentile(sorted,p);
+   });
+   return {
+      name: name,
+      requests: api.requests,
+      errors: api.errors,
+      errorRate: api.requests > 0 ? round(api.errors / api.requests) : 0,
+      throughput: elapsed > 0 ? round(api.requests / elapsed) : 0,
+      latency: latency
+   };
+}
+
+// Get the 'p'th percentile of the sorted array 'sorted' by the nearest rank method
+function percentile(sorted,p) {
+   if (sorted.length === 0) return 0;
+   return sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)];
+}
+
+function round(num) {
+   return Math.round(num * 1000) / 1000;
+}
+
+function renderJson(summary) {
+   return JSON.stringify(summary,null,3) + '\n';
+}
+
+function renderHtml(summary) {
+   var html = [];
+   var settings = summary.settings;
+   html.push('<!DOCTYPE html>');
+   html.push('<html>');
+   html.push('<head>');
+   html.push('<meta charset="utf-8">');
+   html.push('<title>hapi load test</title>');
+   html.push(util.format('<style>\n%s\n</style>',STYLE));
+   html.push('</head>');
+   html.push('<body>');
+   html.push('<h1>hapi load test</h1>');
+   html.push(util.format('<p>Started %s%s; %s for %ds; %d iterations in %ss</p>',common.escape(summary.startTime),
+             summary.environment ? common.escape(' in environment ' + summary.environment) : '',
+             settings.rate ? util.format('%d iterations per second',settings.rate) : util.format('%d concurrent users',settings.users),
+             settings.duration,summary.iterations,summary.elapsed));
+   html.push('<table>');
+   html.push('<tr><th class="name">API</th><th>Requests</th><th>Errors</th><th>Error rate</th><th>Requests/s</th>' +
+             '<th>Min ms</th><th>Mean ms</th>' + PERCENTILES.map(function(p) { return '<th>p' + p + ' ms</th>'; }).join('') +
+             '<th>Max ms</th></tr>');
+   summary.apis.concat(summary.total).forEach(function(api) {
+      html.push(util.format('<tr%s><td class="name">%s</td>%s</tr>',api === summary.total ? ' class="total"' : '',common.escape(api.name),
+                getColumns(api).map(function(col,index) {
+                   return util.format('<td%s>%s</td>',index === 1 && api.errors > 0 ? ' class="errors"' : '',col);
+                }).join('')));
+   });
+   html.push('</table>');
+   html.push('</body>');
+   html.push('</html>');
+   return html.join('\n') + '\n';
+}
+
+// Render the summary as the lines of a table for the console
+function renderText(summary) {
+   var header = ['API', 'requests', 'errors', 'error%', 'req/s', 'min', 'mean']
+      .concat(PERCENTILES.map(function(p) { return 'p' + p; })).concat('max');
+   var rows = summary.apis.concat(summary.total).map(function(api) {
+      return [api.name].concat(getColumns(api));
+   });
+   var widths = header.map(function(col,index) {
+      return Math.max.apply(null,[col.length].concat(rows.map(function(row) { return String(row[index]).length; })));
+   });
+   return [header].concat(rows).map(function(row) {
+      return row.map(function(col,index) {
+         return index === 0 ? common.padEnd(col,widths[index]) : common.padStart(col,widths[index]);
+      }).join('  ');
+   });
+}
+
+// Get the columns of the statistics of an API, after its name
+function getColumns(api) {
+   var latency = api.latency;
+   return [api.requests, api.errors, (api.errorRate * 100).toFixed(1), api.throughput.toFixed(2), latency.min, latency.mean.toFixed(1)]
+      .concat(PERCENTILES.map(function(p) { return latency['p' + p]; })).concat(latency.max);
+}
+
+exports.LoadStats = LoadStats;
+exports.renderJson = renderJson;
+exports.renderHtml = renderHtml;
+exports.renderText = renderText;
@@ -0,0 +1,149 @@
+/*
+ * Test result collection and reporting for 'hapi run'.
+ * The RunContext adds an entry to a TestResults object each time a test passes
+ * or fails.  When the run is complete, each of the requested reporters converts
+ * the results into a report file in the output directory.
+ */
+'use strict';
+
+var util = require('util');
+var common = require(__dirname+'/common');
+
+// The results of a single test run against the environment profile 'environment', if any
+function TestResults(environment) {
+   this.tests = [];
+   this.startTime = new Date();
+   this.environment = environment || null;
+}
+
+/*
+ * Add the result of a test.  An entry has the following fields:
+ *    id       - the id of the node in the test tree
+ *    name     - the name of the test
+ *    api      - the name of the API
+ *    vhost    - the name of the virtual host
+ *    request  - the request that was sent (method, url, headers and body)
+ *    status   - one of 'passed', 'failed' or 'skipped'
+ *    duration - the duration of the test in milliseconds
+ *    failure  - the reason for the failure, if any
+ */
+TestResults.prototype.add = function(entry) {
+   this.tests.push(entry);
+};
+
+TestResults.prototype.getTests = function() {
+   return this.tests;
+};
+
+// Return the number of tests with each status
+TestResults.prototype.getSummary = function() {
+   var summary = { total: this.tests.length, passed: 0, failed: 0, skipped: 0 };
+   this.tests.forEach(function(test) {
+      summary[test.status]++;
+   });
+   return summary;
+};
+
+// Return the tests grouped by virtual host name
+TestResults.prototype.getTestsByVirtualHost = function() {
+   return common.groupBy(this.tests, 'vhost');
+};
+
+/*
+ * Writes results in JUnit XML format with one test suite per virtual host
+ */
+function JUnitReporter() {
+}
+
+JUnitReporter.prototype.getFileName = function() {
+   return 'hapi-results.xml';
+};
+
+JUnitReporter.prototype.generate = function(results) {
+   var summary = results.getSummary();
+   var lines = [];
+   lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+   lines.push(util.format('<testsuites name="hapi" tests="%d" failures="%d" skipped="%d" time="%s">',
+              summary.total,summary.failed,summary.skipped,seconds(getTotalDuration(results.getTests()))));
+   common.forOwn(results.getTestsByVirtualHost(), function(tests,vhost) {
+      var failures = tests.filter(function(test) { return test.status === 'failed'; }).length;
+      var skipped = tests.filter(function(test) { return test.status === 'skipped'; }).length;
+      lines.push(util.format('   <testsuite name="%s" tests="%d" failures="%d" skipped="%d" time="%s" timestamp="%s">',
+                 common.escape(vhost),tests.length,failures,skipped,seconds(getTotalDuration(tests)),results.startTime.toISOString()));
+      if (results.environment) {
+         lines.push(util.format('      <properties><property name="environment" value="%s"/></properties>',common.escape(results.environment)));
+      }
+      tests.forEach(function(test) {
+         lines.push(util.format('      <testcase name="%s" classname="%s" time="%s">',
+                    common.escape(test.name),common.escape(test.api),seconds(test.duration)));
+         lines.push(util.format('         <properties><property name="id" value="%s"/></properties>',common.escape(test.id)));
+         if (test.status === 'failed') {
+            lines.push(util.format('         <failure message="%s">%s</failure>',
+                       common.escape(firstLine(test.failure)),common.escape(test.failure)));
+         } else if (test.status === 'skipped') {
+            lines.push(util.format('         <skipped message="%s"/>',common.escape(test.failure)));
+         }
+         if (test.request) {
+            lines.push(util.format('         <system-out>%s</system-out>',common.escape(JSON.stringify(test.request,null,3))));
+         }
+         lines.push('      </testcase>');
+      });
+      lines.push('   </testsuite>');
+   });
+   lines.push('</testsuites>');
+   return lines.join('\n') + '\n';
+};
+
+/*
+ * Writes results as JSON for consumption by other tools
+ */
+function JsonReporter() {
+}
+
+JsonReporter.prototype.getFileName = function() {
+   return 'hapi-results.json';
+};
+
+JsonReporter.prototype.generate = function(results) {
+   var report = {
+      startTime: results.startTime.toISOString(),
+      environment: results.environment,
+      summary: results.getSummary(),
+      tests: results.getTests()
+   };
+   return JSON.stringify(report,null,3) + '\n';
+};
+
+var reporters = {
+   junit: JUnitReporter,
+   json: JsonReporter
+};
+
+// Get a reporter by name
+function getReporter(name) {
+   var Reporter = reporters[name];
+   if (!Reporter) {
+      throw Error(util.format("invalid report format: '%s'; must be one of %j",name,Object.keys(reporters)));
+   }
+   return new Reporter();
+}
+
+function getTotalDuration(tests) {
+   var total = 0;
+   tests.forEach(function(test) {
+      total += test.duration || 0;
+   });
+   return total;
+}
+
+function seconds(ms) {
+   return ((ms || 0) / 1000).toFixed(3);
+}
+
+function firstLine(str) {
+   return str ? str.split('\n')[0] : '';
+}
+
+exports.TestResults = TestResults;
+exports.getReporter = getReporter;
+exports.reporterNames = Object.keys(reporters);
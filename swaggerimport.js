@@ -0,0 +1,558 @@
+/*
+ * Import of Swagger 2.0 and OpenAPI 3 documents for 'hapi import-swagger'; the opposite of 'hapi gendoc'.
+ * The document becomes a virtual host whose swagger header is the header of the document, and each operation
+ * becomes a draft API definition file.  The parameters of an operation, and the fields of its request body,
+ * become variables whose descriptions are taken from the document and whose values are its examples or defaults.
+ * The JSON schemas of the responses are converted to the shorthand of the 'body' section, with a 'bodymd' section
+ * for the parts of a schema which the shorthand can't express.  References within the document are resolved.
+ */
+'use strict';
+
+var url = require('url');
+var util = require('util');
+var common = require(__dirname+'/common');
+var apiwriter = require(__dirname+'/apiwriter');
+
+var METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+// The fields of a swagger 2.0 document which are not part of the header of the virtual host
+var NON_HEADER_FIELDS = ['paths', 'definitions', 'parameters', 'responses'];
+// The fields of an OpenAPI 3 document which are copied to the swagger 2.0 header of the virtual host
+var OPENAPI3_HEADER_FIELDS = ['info', 'tags', 'externalDocs', 'security'];
+// The JSON schema keywords which are copied to 'bodymd'
+var SCHEMA_KEYWORDS = ['enum', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+                       'minLength', 'maxLength', 'minItems', 'maxItems'];
+// The OAuth2 flows of OpenAPI 3 and their names in swagger 2.0
+var OAUTH2_FLOWS = { clientCredentials: 'application', authorizationCode: 'accessCode', implicit: 'implicit', password: 'password' };
+
+/*
+ * Add the virtual host named 'name' and the APIs of the Swagger 2.0 or OpenAPI 3 document 'spec' to the
+ * ApiWriter 'writer'.  Return the number of APIs added.
+ */
+function importSwagger(spec,name,writer) {
+   if (!common.isObject(spec)) throw Error("not a Swagger 2.0 or OpenAPI 3 document");
+   var importer;
+   if (String(spec.swagger).startsWith('2.')) {
+      importer = new SwaggerImporter(spec,writer);
+   } else if (String(spec.openapi).startsWith('3.')) {
+      importer = new OpenApi3Importer(spec,writer);
+   } else {
+      throw Error("not a Swagger 2.0 or OpenAPI 3 document: there is no 'swagger: 2.0' or 'openapi: 3.x' field");
+   }
+   return importer.run(name);
+}
+
+/*
+ * The importer of a swagger 2.0 document.  If the document has a 'host', the URL of the host and its base path
+ * is the value of the host variable and the paths of the requests are relative to the base path, just as they
+ * are in the document; otherwise, the paths of the requests include the base path.
+ */
+function SwaggerImporter(spec,writer) {
+   this.spec = spec;
+   this.writer = writer;
+   this.basePath = '';
+}
+
+SwaggerImporter.prototype.run = function(name) {
+   var self = this;
+   var header = self.getHeader();
+   self.vhost = self.writer.addVirtualHost(name,self.getHostUrl(header),header);
+   var count = 0;
+   common.forOwn(self.spec.paths || {},function(pathItem,pathTemplate) {
+      pathItem = self.resolve(pathItem);
+      METHODS.forEach(function(method) {
+         var op = pathItem[method];
+         if (!op) return;
+         var api = self.getApi(method.toUpperCase(),self.basePath + pathTemplate,pathItem,op);
+         self.writer.addApi(self.vhost,apiwriter.getApiName(method,api.request.path),api);
+         count++;
+      });
+   });
+   return count;
+};
+
+// Get the swagger 2.0 header of the virtual host
+SwaggerImporter.prototype.getHeader = function() {
+   return common.omit(this.spec,NON_HEADER_FIELDS);
+};
+
+// Get the URL of the host of the document, or null if it doesn't have one; the header is updated to match
+SwaggerImporter.prototype.getHostUrl = function(header) {
+   var basePath = (header.basePath || '').replace(/\/$/,'');
+   if (header.host) {
+      var scheme = (header.schemes && header.schemes[0]) || 'https';
+      return scheme + '://' + header.host + basePath;
+   }
+   delete header.basePath;
+   this.basePath = basePath;
+   return null;
+};
+
+// Get the draft API definition of the operation 'op' of the path template 'pathTemplate'
+SwaggerImporter.prototype.getApi = function(method,pathTemplate,pathItem,op) {
+   var self = this;
+   var prefix = apiwriter.getResourceName(pathTemplate);
+   var request = { method: method, path: pathTemplate };
+   var query = [];
+   self.getParameters(pathItem,op).forEach(function(parm) {
+      switch (parm.in) {
+      case 'path':
+         request.path = request.path.split('{' + parm.name + '}').join(self.addParmVariable(parm));
+         break;
+      case 'query':
+         query.push(parm.name + '=' + self.addParmVariable(parm));
+         break;
+      case 'header':
+         request.headers = request.headers || {};
+         request.headers[parm.name] = self.addParmVariable(parm);
+         break;
+      case 'formData':
+         self.addFormParm(request,parm,self.getConsumes(op).includes(apiwriter.MULTIPART_FORM_DATA));
+         break;
+      case 'body':
+         request.body = self.getRequestValue(parm.schema,prefix,'',[]);
+         break;
+      }
+   });
+   self.addSecurity(request,query,op);
+   if (query.length > 0) request.path += '?' + query.join('&');
+   var api = {
+      description: op.summary || op.description || util.format("%s %s",method,pathTemplate),
+      tags: op.tags && op.tags.length > 0 ? op.tags : [self.vhost],
+      request: request,
+      responses: {}
+   };
+   var responses = self.resolve(op.responses || {});
+   var codes = Object.keys(responses).filter(function(code) { return /^\d{3}$/.test(code); });
+   // A document which only describes the default response is assumed to describe the successful response
+   if (codes.length === 0 && responses.default) responses = { 200: responses.default };
+   common.forOwn(responses,function(response,code) {
+      if (!/^\d{3}$/.test(code)) return;
+      api.responses[code] = self.getResponse(self.resolve(response),op);
+   });
+   return api;
+};
+
+// Get the parameters of an operation, including those of its path which it does not override
+SwaggerImporter.prototype.getParameters = function(pathItem,op) {
+   var self = this;
+   var parms = (op.parameters || []).map(function(parm) { return self.resolve(parm); });
+   (pathItem.parameters || []).forEach(function(parm) {
+      parm = self.resolve(parm);
+      var overridden = parms.some(function(p) { return p.name === parm.name && p.in === parm.in; });
+      if (!overridden) parms.push(parm);
+   });
+   return parms;
+};
+
+// Add the variable of a parameter and return the reference to it
+SwaggerImporter.prototype.addParmVariable = function(parm) {
+   var name = apiwriter.getIdentifier(parm.name) || 'parm';
+   var def = { description: parm.description || util.format("The %s %s parameter",parm.name,parm.in) };
+   // The example of a swagger 2.0 parameter is an extension, and the example of an OpenAPI 3 one may be in its schema
+   var value = parm['x-example'] !== undefined ? parm['x-example'] : getExample(parm);
+   if (value === undefined && parm.schema) value = getExample(this.resolveSchema(parm.schema));
+   if (value !== undefined) def.value = value;
+   if (parm.in === 'header' && parm.name.toLowerCase() === 'authorization') def.secret = true;
+   this.writer.addVariable(name,def);
+   return '$' + name;
+};
+
+SwaggerImporter.prototype.addFormParm = function(request,parm,multipart) {
+   var field = multipart ? 'multipart' : 'form';
+   request[field] = request[field] || {};
+   if (parm.type === 'file') {
+      // The file is relative to the input directory, so it must be provided before the API is run
+      request[field][parm.name] = { file: parm.name, description: parm.description };
+   } else {
+      request[field][parm.name] = this.addParmVariable(parm);
+   }
+};
+
+SwaggerImporter.prototype.getConsumes = function(op) {
+   return op.consumes || this.spec.consumes || [];
+};
+
+/*
+ * Get the value of a request body or of a field of one with 'schema'.  Each string field is a variable named after
+ * the resource 'prefix' and the path of the field, such as '$appName' for the 'name' field of an app.  The value
+ * of a variable is sent as a string, so the other fields are constants: their examples, or else 0, false or {}.
+ * The required fields of an object are included, or all of its fields if none are required.
+ */
+SwaggerImporter.prototype.getRequestValue = function(schema,prefix,fieldPath,refs) {
+   var self = this;
+   var ref = schema && schema.$ref;
+   if (ref && refs.includes(ref)) return {};
+   if (ref) refs = refs.concat(ref);
+   schema = self.resolveSchema(schema);
+   var example = getExample(schema);
+   switch (getType(schema)) {
+   case 'object':
+      if (!schema.properties) return example !== undefined ? example : {};
+      var obj = {};
+      var required = schema.required || [];
+      common.forOwn(schema.properties,function(prop,name) {
+         if (self.resolveSchema(prop).readOnly || (required.length > 0 && !required.includes(name))) return;
+         obj[name] = self.getRequestValue(prop,prefix,fieldPath ? fieldPath + ' ' + name : name,refs);
+      });
+      return obj;
+   case 'array':
+      // The 'body' of a request documents an array by a single item
+      return [self.getRequestValue(schema.items || {},prefix,fieldPath,refs)];
+   case 'integer': case 'number':
+      return example !== undefined ? example : 0;
+   case 'boolean':
+      return example !== undefined ? example : false;
+   default:
+      return self.addFieldVariable(schema,prefix,fieldPath);
+   }
+};
+
+SwaggerImporter.prototype.addFieldVariable = function(schema,prefix,fieldPath) {
+   var name = apiwriter.getIdentifier(prefix + ' ' + (fieldPath || 'body'));
+   var def = {
+      description: schema.description || schema.title ||
+                   (fieldPath ? util.format("The %s field of the %s",fieldPath.replace(/ /g,'.'),prefix) : util.format("The %s",prefix))
+   };
+   var value = getExample(schema);
+   if (value !== undefined) def.value = value;
+   this.writer.addVariable(name,def);
+   return '$' + name;
+};
+
+/*
+ * Add the credentials required by the security schemes of the operation to the request: an API key in a header
+ * or query parameter, or an authorization header for the other schemes.  The credentials are secret variables
+ * without values, which must be set with '-var' or a config file.
+ */
+SwaggerImporter.prototype.addSecurity = function(request,query,op) {
+   var self = this;
+   var security = op.security || self.spec.security || [];
+   if (security.length === 0) return;
+   var schemes = self.getSecuritySchemes();
+   Object.keys(security[0]).forEach(function(schemeName) {
+      var scheme = schemes[schemeName];
+      if (!scheme) return;
+      if (scheme.type === 'apiKey' && (scheme.in === 'header' || scheme.in === 'query')) {
+         var name = apiwriter.getIdentifier(scheme.name) || 'apiKey';
+         self.writer.addVariable(name,{ description: scheme.description || util.format("The %s API key",schemeName), secret: true });
+         if (scheme.in === 'query') return query.push(scheme.name + '=$' + name);
+         request.headers = request.headers || {};
+         request.headers[scheme.name] = '$' + name;
+      } else if (!common.some(Object.keys(request.headers || {}),function(name) { return name.toLowerCase() === 'authorization'; })) {
+         self.writer.addVariable('authorization',{ description: "The value of the authorization header; set it with '-var' or a config file", secret: true });
+         request.headers = request.headers || {};
+         request.headers.authorization = '$authorization';
+      }
+   });
+};
+
+SwaggerImporter.prototype.getSecuritySchemes = function() {
+   return this.spec.securityDefinitions || {};
+};
+
+// Get the draft of a response of an operation, with the body converted from its JSON schema
+SwaggerImporter.prototype.getResponse = function(response,op) {
+   var result = { description: response.description || '' };
+   if (response.headers) result.headers = getResponseHeaders(response.headers);
+   var schema = response.schema && this.resolveSchema(response.schema);
+   if (!schema) return result;
+   var produces = op.produces || this.spec.produces || [apiwriter.APP_JSON];
+   // A file or string body is not JSON, as gendoc documents the responses with a 'content_type'; the content type
+   // is only known if the operation produces a type which is not JSON
+   if (schema.type === 'file' || schema.type === 'string' || !produces.some(isJsonType)) {
+      var contentType = common.find(produces,function(type) { return !isJsonType(type); });
+      if (contentType) result.content_type = contentType;
+      result.ignore_body = true;
+      return result;
+   }
+   return this.addBody(result,response.schema);
+};
+
+// Set the 'body' and 'bodymd' of a response from the JSON schema of its body
+SwaggerImporter.prototype.addBody = function(response,schema) {
+   var bodymd = {};
+   response.body = this.toBody(schema,'body','',false,bodymd,[]);
+   if (Object.keys(bodymd).length > 0) response.bodymd = bodymd;
+   return response;
+};
+
+/*
+ * Convert the JSON schema of a field named 'name' to the 'body' shorthand, adding the parts of the schema which the
+ * shorthand can't express to 'bodymd' under the path of the field.  'refs' are the references being converted,
+ * so that a schema which refers to itself is converted to an object of any shape the second time.
+ */
+SwaggerImporter.prototype.toBody = function(schema,name,fieldPath,optional,bodymd,refs) {
+   var self = this;
+   var ref = schema && schema.$ref;
+   var recursive = ref && refs.includes(ref);
+   if (ref) refs = refs.concat(ref);
+   schema = self.resolveSchema(schema);
+   var description = schema.description || schema.title || name;
+   var md = {};
+   optional = optional || schema.nullable === true || schema['x-nullable'] === true;
+   if (recursive) return apiwriter.shorthand(['o'],description,optional);
+   if (schema.oneOf || schema.anyOf || schema.not) return apiwriter.shorthand(['ign'],description);
+   SCHEMA_KEYWORDS.forEach(function(keyword) {
+      if (schema[keyword] !== undefined) md[keyword] = schema[keyword];
+   });
+   if (md.enum && optional) md.enum = md.enum.concat(null);
+   var type = getType(schema);
+   var flags = [];
+   var result;
+   switch (type) {
+   case 'object':
+      var props = common.omit(schema.properties || {},['__', '*']);
+      if (Object.keys(props).length > 0) {
+         var required = schema.required || [];
+         result = {};
+         common.forOwn(props,function(prop,propName) {
+            result[propName] = self.toBody(prop,propName,fieldPath ? fieldPath + '.' + propName : propName,
+                                           !required.includes(propName),bodymd,refs);
+         });
+      } else if (common.isObject(schema.additionalProperties)) {
+         result = { '*': self.toBody(schema.additionalProperties,name,fieldPath ? fieldPath + '.*' : '*',false,bodymd,refs) };
+      } else {
+         flags.push('o');
+      }
+      break;
+   case 'array':
+      var items = schema.items && self.resolveSchema(schema.items);
+      // An array of items which have a simple type and nothing else to describe has a flag of its own
+      var flag = items && !(items.description || items.enum || items.format || items.pattern) ? apiwriter.getArrayFlag(getType(items)) : null;
+      if (flag) {
+         flags.push(flag);
+      } else if (items) {
+         result = [self.toBody(schema.items,name,fieldPath + '[0]',false,bodymd,refs)];
+      } else {
+         flags.push('a');
+      }
+      break;
+   case 'integer':
+      flags.push('i');
+      break;
+   case 'boolean':
+      flags.push('b');
+      break;
+   case 'number':
+      common.assign(md,apiwriter.getTypeMd('number',optional));
+      optional = false;
+      break;
+   case 'string':
+      if (schema.format === 'date-time') flags.push('dts');
+      break;
+   default:
+      return apiwriter.shorthand(['ign'],description);
+   }
+   if (result) {
+      // The shorthand of an object or array has no flags, so its description and whether it is optional are metadata
+      if (schema.description) md.description = schema.description;
+      if (optional) common.assign(md,apiwriter.getTypeMd(common.isArray(result) ? 'array' : 'object',true));
+   } else {
+      // A description which starts with a parenthesis would be taken for flags
+      if (flags.length === 0 && !optional && description.startsWith('(')) flags.push('s');
+      result = apiwriter.shorthand(flags,description,optional);
+   }
+   if (Object.keys(md).length > 0) bodymd[fieldPath] = md;
+   return result;
+};
+
+// Resolve a reference within the document, such as '#/definitions/App'
+SwaggerImporter.prototype.resolve = function(obj) {
+   var seen = [];
+   while (obj && common.isString(obj.$ref)) {
+      var ref = obj.$ref;
+      if (!ref.startsWith('#/')) throw Error(util.format("unsupported reference '%s'; only references within the document are supported",ref));
+      if (seen.includes(ref)) throw Error(util.format("circular reference '%s'",ref));
+      seen.push(ref);
+      var target = this.spec;
+      ref.substring(2).split('/').forEach(function(token) {
+         token = decodeURIComponent(token).replace(/~1/g,'/').replace(/~0/g,'~');
+         target = common.isObject(target) ? target[token] : undefined;
+      });
+      if (target === undefined) throw Error(util.format("reference '%s' was not found in the document",ref));
+      obj = target;
+   }
+   return obj;
+};
+
+// Resolve a schema, combining the schemas of an 'allOf' into one object schema
+SwaggerImporter.prototype.resolveSchema = function(schema) {
+   var self = this;
+   schema = self.resolve(schema) || {};
+   if (!schema.allOf) return schema;
+   var result = { type: 'object', properties: {}, required: [] };
+   schema.allOf.forEach(function(sub) {
+      sub = self.resolveSchema(sub);
+      common.assign(result.properties,sub.properties);
+      result.required = result.required.concat(sub.required || []);
+      if (!result.description && sub.description) result.description = sub.description;
+   });
+   common.forOwn(common.omit(schema,['allOf']),function(val,key) {
+      if (key === 'properties') common.assign(result.properties,val);
+      else if (key === 'required') result.required = result.required.concat(val);
+      else result[key] = val;
+   });
+   return result;
+};
+
+/*
+ * The importer of an OpenAPI 3 document.  The header of the virtual host is converted to swagger 2.0, which
+ * gendoc converts back to OpenAPI 3 with the '-format openapi3' option.  The URL of the first server is the
+ * value of the host variable; if it is a relative URL, the paths of the requests include it instead.
+ */
+function OpenApi3Importer(spec,writer) {
+   SwaggerImporter.call(this,spec,writer);
+}
+
+util.inherits(OpenApi3Importer,SwaggerImporter);
+
+OpenApi3Importer.prototype.getHeader = function() {
+   var self = this;
+   var header = { swagger: '2.0' };
+   OPENAPI3_HEADER_FIELDS.forEach(function(field) {
+      if (self.spec[field]) header[field] = common.cloneDeep(self.spec[field]);
+   });
+   var schemes = self.getSecuritySchemes();
+   if (Object.keys(schemes).length > 0) {
+      header.securityDefinitions = {};
+      common.forOwn(schemes,function(scheme,schemeName) {
+         var def = toSwaggerSecurityDefinition(scheme);
+         if (def) header.securityDefinitions[schemeName] = def;
+      });
+   }
+   return header;
+};
+
+// Get the URL of the first server, with its variables replaced by their defaults, and set the header to match
+OpenApi3Importer.prototype.getHostUrl = function(header) {
+   var server = (this.spec.servers || [])[0];
+   var serverUrl = server ? server.url.replace(/{(\w+)}/g,function(match,name) {
+      var variable = server.variables && server.variables[name];
+      return variable && variable.default !== undefined ? variable.default : match;
+   }) : '';
+   serverUrl = serverUrl.replace(/\/$/,'');
+   var parsed = url.parse(serverUrl);
+   if (!parsed.protocol || !parsed.host) {
+      this.basePath = parsed.pathname && parsed.pathname !== '/' ? parsed.pathname : '';
+      return null;
+   }
+   header.host = parsed.host;
+   if (parsed.pathname && parsed.pathname !== '/') header.basePath = parsed.pathname;
+   header.schemes = [parsed.protocol.replace(':','')];
+   header.consumes = [apiwriter.APP_JSON];
+   header.produces = [apiwriter.APP_JSON];
+   return serverUrl;
+};
+
+OpenApi3Importer.prototype.getApi = function(method,pathTemplate,pathItem,op) {
+   var self = this;
+   var api = SwaggerImporter.prototype.getApi.call(self,method,pathTemplate,pathItem,op);
+   var requestBody = op.requestBody && self.resolve(op.requestBody);
+   if (requestBody && requestBody.content) {
+      var types = Object.keys(requestBody.content);
+      var jsonType = common.find(types,isJsonType);
+      var formType = common.find(types,function(type) { return type === apiwriter.FORM_URLENCODED || type === apiwriter.MULTIPART_FORM_DATA; });
+      var request = api.request;
+      if (jsonType) {
+         request.body = self.getRequestValue(requestBody.content[jsonType].schema,apiwriter.getResourceName(pathTemplate),'',[]);
+      } else if (formType) {
+         var schema = self.resolveSchema(requestBody.content[formType].schema);
+         common.forOwn(schema.properties || {},function(prop,name) {
+            prop = self.resolveSchema(prop);
+            self.addFormParm(request,{
+               name: name,
+               in: 'formData',
+               description: prop.description,
+               type: prop.format === 'binary' ? 'file' : prop.type,
+               schema: prop
+            },formType === apiwriter.MULTIPART_FORM_DATA);
+         });
+      }
+   }
+   return api;
+};
+
+// Cookie parameters are not supported by the 'request' section, so they are ignored
+OpenApi3Importer.prototype.getParameters = function(pathItem,op) {
+   return SwaggerImporter.prototype.getParameters.call(this,pathItem,op).filter(function(parm) {
+      return parm.in !== 'cookie';
+   });
+};
+
+OpenApi3Importer.prototype.getSecuritySchemes = function() {
+   return (this.spec.components && this.spec.components.securitySchemes) || {};
+};
+
+OpenApi3Importer.prototype.getResponse = function(response) {
+   var result = { description: response.description || '' };
+   if (response.headers) result.headers = getResponseHeaders(response.headers);
+   var types = Object.keys(response.content || {});
+   if (types.length === 0) return result;
+   var jsonType = common.find(types,isJsonType);
+   var schema = jsonType && response.content[jsonType].schema;
+   if (!schema) {
+      result.content_type = jsonType || types[0];
+      result.ignore_body = true;
+      return result;
+   }
+   return this.addBody(result,schema);
+};
+
+// Convert an OpenAPI 3 security scheme to a swagger 2.0 security definition, or null if it has no equivalent
+function toSwaggerSecurityDefinition(scheme) {
+   switch (scheme.type) {
+   case 'apiKey':
+      return common.pick(scheme,['type', 'name', 'in', 'description']);
+   case 'http':
+      if (scheme.scheme === 'basic') return common.pick(common.assign({},scheme,{ type: 'basic' }),['type', 'description']);
+      return { type: 'apiKey', name: 'Authorization', in: 'header', description: scheme.description };
+   case 'oauth2':
+      var flowName = common.find(Object.keys(OAUTH2_FLOWS),function(name) { return scheme.flows && scheme.flows[name]; });
+      if (!flowName) return null;
+      var flow = scheme.flows[flowName];
+      return common.omitBy({
+         type: 'oauth2',
+         flow: OAUTH2_FLOWS[flowName],
+         authorizationUrl: flow.authorizationUrl,
+         tokenUrl: flow.tokenUrl,
+         scopes: flow.scopes || {},
+         description: scheme.description
+      },common.isUndefined);
+   default:
+      return null;
+   }
+}
+
+// Get the hapi response headers of the headers of a response, which are documented but need not be sent
+function getResponseHeaders(headers) {
+   var result = {};
+   common.forOwn(headers,function(header,name) {
+      result[name] = { description: header.description || name, required: false };
+   });
+   return result;
+}
+
+// Get the type of a schema, which may be implied by its other fields
+function getType(schema) {
+   var type = common.isArray(schema.type) ? common.find(schema.type,function(t) { return t !== 'null'; }) : schema.type;
+   if (type) return type;
+   if (schema.properties || schema.additionalProperties) return 'object';
+   if (schema.items) return 'array';
+   return undefined;
+}
+
+// Get the example of a schema or parameter, or its default, or its first enumerated value
+function getExample(schema) {
+   if (!schema) return undefined;
+   if (schema.example !== undefined) return schema.example;
+   if (schema.default !== undefined) return schema.default;
+   if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+   return undefined;
+}
+
+function isJsonType(type) {
+   type = type.split(';')[0].trim().toLowerCase();
+   return type === apiwriter.APP_JSON || /\+json$/.test(type);
+}
+
+exports.importSwagger = importSwagger;